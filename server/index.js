@@ -1,26 +1,141 @@
 #!/usr/bin/env node
 
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { appendFile, mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import http from "node:http";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { parseArgs } from "node:util";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  LoggingLevelSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
 
 const SERVER_NAME = "productboard-connector";
 const SERVER_VERSION = "2.0.0";
-const PRODUCTBOARD_BASE_URL = "https://api.productboard.com";
+const DEFAULT_BASE_URL = "https://api.productboard.com";
+const DEFAULT_PROFILE_NAME = "default";
+const PROFILE_ENV_PATTERN = /^PRODUCTBOARD_PROFILE_([A-Z0-9_]+?)_(API_TOKEN|BASE_URL)$/;
+const LOCAL_HOSTNAMES = new Set(["localhost", "127.0.0.1", "[::1]"]);
 const PRODUCTBOARD_API_VERSION = "1";
 const DEFAULT_LIMIT = 100;
 const MAX_PAGE_SIZE = 100;
+const RETRYABLE_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30_000;
+const DEFAULT_RETRY_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_MAX_ELAPSED_MS = 60_000;
+const DEFAULT_RATE_LIMIT_RPS = 10;
+const DEFAULT_REQUEST_TIMEOUT_MS = 30_000;
+const DEFAULT_TOOL_TIMEOUT_MS = 5 * 60_000;
+const MAX_UNDO_JOURNAL_ENTRIES = 200;
+const UNDOABLE_PATH_PATTERN = /^\/(features|objectives|key-results|initiatives|releases|notes)\/[^/?]+$/;
+const LOG_LEVELS = LoggingLevelSchema.options;
+const DEFAULT_LOG_LEVEL = "info";
+const DEFAULT_HTTP_HOST = "127.0.0.1";
+const DEFAULT_HTTP_PORT = 3333;
+const HTTP_ENDPOINT_PATH = "/mcp";
+const HTTP_MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_HTTP_SESSION_IDLE_MS = 30 * 60_000;
+const DEFAULT_HTTP_MAX_SESSIONS = 100;
+const REFERENCE_CACHE_TTL_MS = {
+  "/feature-statuses": 10 * 60_000,
+  "/products": 5 * 60_000,
+  "/components": 5 * 60_000,
+  "/users": 10 * 60_000,
+  "/hierarchy-entities/custom-fields": 10 * 60_000,
+  "/release-groups": 5 * 60_000,
+  "/releases": 60_000,
+  "/objectives": 60_000,
+  "/features": 60_000,
+  "/key-results": 60_000,
+  "/initiatives": 60_000,
+};
+
+// Stable, machine-readable error codes. Errors without an explicit code get one from their status.
+const ERROR_CODES_BY_STATUS = {
+  400: "VALIDATION",
+  401: "AUTH_INVALID",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "VALIDATION",
+  422: "VALIDATION",
+  429: "RATE_LIMITED",
+  499: "CANCELLED",
+  504: "TIMEOUT",
+};
+
+// What the model should do next, unless the error carries a more specific hint.
+const DEFAULT_ERROR_HINTS = {
+  VALIDATION: "Fix the listed arguments and call the tool again.",
+  AUTH_INVALID:
+    "The Productboard API token is missing, invalid or expired. Ask the user to update it; retrying will not help.",
+  FORBIDDEN:
+    "The API token lacks permission for this resource. Ask a workspace admin for access; retrying will not help.",
+  NOT_FOUND: "Check the ID; list the entities first to find a valid one.",
+  CONFLICT: "The entity changed or already exists. Fetch its current state and try again.",
+  RATE_LIMITED: "Wait before retrying, and prefer smaller limits or fewer calls.",
+  CANCELLED:
+    "The call was cancelled or timed out. Retry with a smaller limit, or resume from the returned next link.",
+  TIMEOUT: "Productboard did not respond in time. Retry shortly, ideally with a smaller limit.",
+  NETWORK: "Productboard could not be reached. Check network access and the workspace base URL.",
+  UPSTREAM_ERROR: "Productboard returned a server error. Retry later.",
+  INTERNAL:
+    "Unexpected connector error. Report it; retrying with the same arguments will likely fail again.",
+};
+
+function errorCodeForStatus(status) {
+  if (ERROR_CODES_BY_STATUS[status]) return ERROR_CODES_BY_STATUS[status];
+  if (status >= 500) return "UPSTREAM_ERROR";
+  return "INTERNAL";
+}
 
 class ProductboardApiError extends Error {
-  constructor(message, { status, details, retryAfter } = {}) {
+  constructor(message, { status, details, retryAfter, code, hint } = {}) {
     super(message);
     this.name = "ProductboardApiError";
     this.status = status;
     this.details = details;
     this.retryAfter = retryAfter;
+    this.code = code ?? errorCodeForStatus(status);
+    this.hint = hint ?? DEFAULT_ERROR_HINTS[this.code];
+  }
+}
+
+class CancelledError extends ProductboardApiError {
+  constructor(message = "Request cancelled by client.") {
+    super(message, { status: 499 });
+    this.name = "CancelledError";
+  }
+}
+
+function toCancelledError(reason) {
+  if (reason instanceof CancelledError) return reason;
+  return new CancelledError(
+    typeof reason === "string" && reason ? `Request cancelled by client: ${reason}` : undefined,
+  );
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw toCancelledError(signal.reason);
   }
 }
 
@@ -32,15 +147,394 @@ function logError(message, err) {
   }
 }
 
-function getApiToken() {
-  const token = process.env.PRODUCTBOARD_API_TOKEN;
-  if (!token || !token.trim()) {
+function isLogLevelEnabled(level, threshold) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+// Sends a structured notifications/message to the client of the current tool call, filtered
+// by the level it set through logging/setLevel. Warnings and worse also go to stderr.
+function logEvent(level, message, data = {}) {
+  if (isLogLevelEnabled(level, "warning")) {
+    logError(message);
+  }
+
+  const context = callContext.getStore();
+  if (!context?.sendNotification || !isLogLevelEnabled(level, context.session.logLevel)) {
+    return;
+  }
+
+  context
+    .sendNotification({
+      method: "notifications/message",
+      params: {
+        level,
+        logger: SERVER_NAME,
+        data: { message, tool: context.toolName, workspace: context.profile?.name, ...data },
+      },
+    })
+    .catch(() => {});
+}
+
+// Sends notifications/progress when the client passed a progress token with the tool call.
+// Any multi-request tool can call this; progress only ever moves forward.
+function reportProgress(progress, total, message) {
+  const context = callContext.getStore();
+  if (context?.progressToken === undefined || !context.sendNotification) return;
+  if (progress <= context.lastProgress) return;
+
+  context.lastProgress = progress;
+  context
+    .sendNotification({
+      method: "notifications/progress",
+      params: {
+        progressToken: context.progressToken,
+        progress,
+        ...(total !== undefined ? { total } : {}),
+        ...(message ? { message } : {}),
+      },
+    })
+    .catch(() => {});
+}
+
+function reportPageFetched(endpoint, page, fetched, limit) {
+  logEvent("info", `Fetched page ${page} of ${endpoint}: ${fetched}/${limit} items.`, {
+    event: "pagination",
+    endpoint,
+    page,
+    fetched,
+    limit,
+  });
+  reportProgress(fetched, limit, `Fetched ${fetched} of up to ${limit} items from ${endpoint}.`);
+}
+
+function getDefaultLogLevel() {
+  const raw = process.env.PRODUCTBOARD_LOG_LEVEL?.trim().toLowerCase();
+  if (!raw) return DEFAULT_LOG_LEVEL;
+  if (LOG_LEVELS.includes(raw)) return raw;
+
+  logError(`Ignoring invalid PRODUCTBOARD_LOG_LEVEL=${raw}; using ${DEFAULT_LOG_LEVEL}.`);
+  return DEFAULT_LOG_LEVEL;
+}
+
+function sanitizeUrlForLog(url) {
+  const safe = new URL(url);
+  safe.username = "";
+  safe.password = "";
+  for (const key of [...safe.searchParams.keys()]) {
+    if (SECRET_KEY_PATTERN.test(key)) safe.searchParams.set(key, "[REDACTED]");
+  }
+  return safe.toString();
+}
+
+function readNumberEnv(name, fallback, { min = 0 } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min) {
+    logError(`Ignoring invalid ${name}=${raw}; using ${fallback}.`);
+    return fallback;
+  }
+  return value;
+}
+
+function readBooleanEnv(name, fallback = false) {
+  const raw = process.env[name]?.trim().toLowerCase();
+  if (!raw) return fallback;
+  if (["1", "true", "yes", "on"].includes(raw)) return true;
+  if (["0", "false", "no", "off"].includes(raw)) return false;
+
+  logError(`Ignoring invalid ${name}=${process.env[name]}; using ${fallback}.`);
+  return fallback;
+}
+
+function readListEnv(name) {
+  return normalizeStringArray(process.env[name]) ?? [];
+}
+
+function getRetryPolicy() {
+  return {
+    maxAttempts: Math.floor(
+      readNumberEnv("PRODUCTBOARD_RETRY_MAX_ATTEMPTS", DEFAULT_RETRY_MAX_ATTEMPTS, { min: 1 }),
+    ),
+    maxElapsedMs: readNumberEnv(
+      "PRODUCTBOARD_RETRY_MAX_ELAPSED_MS",
+      DEFAULT_RETRY_MAX_ELAPSED_MS,
+    ),
+  };
+}
+
+// Per tool call state (queue wait, request count) shared by every apiRequest it makes.
+const callContext = new AsyncLocalStorage();
+
+class RateLimiter {
+  constructor({ ratePerSecond, burst }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  get enabled() {
+    return this.ratePerSecond > 0;
+  }
+
+  acquire(signal) {
+    throwIfCancelled(signal);
+    if (!this.enabled) return Promise.resolve(0);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, enqueuedAt: Date.now() };
+
+      if (signal) {
+        const onAbort = () => {
+          this.queue = this.queue.filter((entry) => entry !== waiter);
+          reject(toCancelledError(signal.reason));
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        waiter.resolve = (waitedMs) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(waitedMs);
+        };
+      }
+
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(this.burst, this.tokens + (elapsed * this.ratePerSecond) / 1000);
+  }
+
+  drain() {
+    if (this.timer) return;
+    this.refill();
+
+    const now = Date.now();
+    while (this.queue.length > 0 && this.tokens >= 1 && now >= this.pausedUntil) {
+      this.tokens -= 1;
+      const waiter = this.queue.shift();
+      waiter.resolve(now - waiter.enqueuedAt);
+    }
+
+    if (this.queue.length === 0) return;
+
+    const delay = Math.max(
+      this.pausedUntil - now,
+      ((1 - this.tokens) * 1000) / this.ratePerSecond,
+    );
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(1, Math.ceil(delay)));
+  }
+
+  pause(ms) {
+    if (!this.enabled || !(ms > 0)) return;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  observe(response) {
+    if (!this.enabled) return;
+
+    const headers = response.headers;
+    const remaining = Number(
+      headers.get("x-ratelimit-remaining") ?? headers.get("ratelimit-remaining") ?? NaN,
+    );
+    const reset = Number(headers.get("x-ratelimit-reset") ?? headers.get("ratelimit-reset") ?? NaN);
+
+    if (Number.isFinite(remaining)) {
+      // Never hand out more tokens than the server says are left in its window.
+      this.tokens = Math.min(this.tokens, Math.max(0, remaining));
+      if (remaining <= 0 && Number.isFinite(reset)) {
+        // Reset is either seconds until reset or an epoch timestamp in seconds.
+        const resetMs = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+        this.pause(resetMs);
+      }
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(headers.get("retry-after"));
+      this.pause((retryAfter ?? 1) * 1000);
+    }
+  }
+}
+
+function createRateLimiter() {
+  const ratePerSecond = readNumberEnv("PRODUCTBOARD_RATE_LIMIT_RPS", DEFAULT_RATE_LIMIT_RPS);
+  return new RateLimiter({
+    ratePerSecond,
+    burst: readNumberEnv("PRODUCTBOARD_RATE_LIMIT_BURST", Math.ceil(ratePerSecond), { min: 1 }),
+  });
+}
+
+function resolveBaseUrl(raw, label = "PRODUCTBOARD_BASE_URL") {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return new URL(DEFAULT_BASE_URL);
+  }
+
+  let url;
+  try {
+    url = new URL(String(raw).trim());
+  } catch {
+    throw new Error(`Invalid ${label}: ${raw}`);
+  }
+
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && LOCAL_HOSTNAMES.has(url.hostname))) {
+    throw new Error(`${label} must use https (plain http is only allowed for localhost): ${raw}`);
+  }
+
+  if (url.pathname !== "/" || url.search || url.hash || url.username || url.password) {
+    throw new Error(
+      `${label} must be a bare origin such as https://api.eu.productboard.com: ${raw}`,
+    );
+  }
+
+  return url;
+}
+
+// Workspace profiles: each has its own token, base URL and rate limiter (limits are per token).
+let workspaceProfiles = new Map();
+let defaultProfileName = DEFAULT_PROFILE_NAME;
+
+function normalizeProfileName(name) {
+  return String(name).trim().toLowerCase().replace(/_/g, "-");
+}
+
+function createProfile(name, { apiToken, baseUrl, source }) {
+  return {
+    name,
+    token: typeof apiToken === "string" && apiToken.trim() ? apiToken.trim() : undefined,
+    baseUrl: resolveBaseUrl(baseUrl, `base URL for workspace "${name}"`),
+    source,
+    rateLimiter: createRateLimiter(),
+  };
+}
+
+function readProfilesFile(filePath) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read PRODUCTBOARD_PROFILES_FILE ${filePath}: ${error.message}`);
+  }
+
+  const entries = toObject(toObject(config).profiles);
+  return {
+    defaultName: config.default,
+    profiles: Object.entries(entries).map(([name, value]) => {
+      const profile = toObject(value);
+      return [
+        name,
+        {
+          apiToken: profile.api_token ?? profile.apiToken,
+          baseUrl: profile.base_url ?? profile.baseUrl,
+        },
+      ];
+    }),
+  };
+}
+
+function loadWorkspaceProfiles(env = process.env) {
+  const profiles = new Map();
+  const add = (rawName, settings, source) => {
+    const name = normalizeProfileName(rawName);
+    if (!name) return;
+    profiles.set(name, createProfile(name, { ...settings, source }));
+  };
+
+  let fileDefault;
+  if (env.PRODUCTBOARD_PROFILES_FILE?.trim()) {
+    const file = readProfilesFile(env.PRODUCTBOARD_PROFILES_FILE.trim());
+    fileDefault = file.defaultName;
+    for (const [name, settings] of file.profiles) {
+      add(name, settings, "file");
+    }
+  }
+
+  const envProfiles = new Map();
+  for (const [key, value] of Object.entries(env)) {
+    const match = PROFILE_ENV_PATTERN.exec(key);
+    if (!match) continue;
+    const settings = envProfiles.get(match[1]) ?? {};
+    settings[match[2] === "API_TOKEN" ? "apiToken" : "baseUrl"] = value;
+    envProfiles.set(match[1], settings);
+  }
+  for (const [name, settings] of envProfiles) {
+    add(name, settings, "env");
+  }
+
+  // The single-workspace variables keep working as the "default" profile.
+  if (env.PRODUCTBOARD_API_TOKEN?.trim() || profiles.size === 0) {
+    add(
+      DEFAULT_PROFILE_NAME,
+      { apiToken: env.PRODUCTBOARD_API_TOKEN, baseUrl: env.PRODUCTBOARD_BASE_URL },
+      "env",
+    );
+  }
+
+  const requestedDefault = env.PRODUCTBOARD_DEFAULT_PROFILE?.trim() || fileDefault;
+  let defaultName = profiles.has(DEFAULT_PROFILE_NAME)
+    ? DEFAULT_PROFILE_NAME
+    : profiles.keys().next().value;
+
+  if (requestedDefault) {
+    defaultName = normalizeProfileName(requestedDefault);
+    if (!profiles.has(defaultName)) {
+      throw new Error(
+        `Default workspace "${requestedDefault}" is not defined. Known workspaces: ${[...profiles.keys()].join(", ")}.`,
+      );
+    }
+  }
+
+  return { profiles, defaultName };
+}
+
+function getWorkspaceProfile(name) {
+  const profileName = name === undefined || name === null || name === ""
+    ? defaultProfileName
+    : normalizeProfileName(name);
+  const profile = workspaceProfiles.get(profileName);
+
+  if (!profile) {
+    throw new ProductboardApiError(
+      `Unknown workspace "${name}". Known workspaces: ${[...workspaceProfiles.keys()].join(", ")}.`,
+      {
+        status: 400,
+        code: "UNKNOWN_WORKSPACE",
+        hint: "Call pb_workspaces_list and pass one of its names as workspace.",
+      },
+    );
+  }
+
+  return profile;
+}
+
+function getActiveProfile() {
+  return callContext.getStore()?.profile ?? getWorkspaceProfile();
+}
+
+function getApiToken(profile = getActiveProfile()) {
+  if (!profile.token) {
     throw new ProductboardApiError(
-      "Missing Productboard API token. Set PRODUCTBOARD_API_TOKEN in server environment.",
-      { status: 401 },
+      profile.name === DEFAULT_PROFILE_NAME
+        ? "Missing Productboard API token. Set PRODUCTBOARD_API_TOKEN in server environment."
+        : `Missing Productboard API token for workspace "${profile.name}".`,
+      {
+        status: 401,
+        code: "AUTH_MISSING",
+        hint: "Ask the user to configure an API token for this workspace; retrying will not help.",
+      },
     );
   }
-  return token.trim();
+  return profile.token;
 }
 
 function toObject(value) {
@@ -107,38 +601,251 @@ function extractErrorMessage(payload, fallbackMessage) {
   return fallbackMessage;
 }
 
-function buildApiError(response, payload, fallbackText) {
+// Collection path segment or `<entity>.id` query prefix -> label and the tool that lists it.
+const RESOURCE_TYPES = {
+  features: { label: "feature", listTool: "pb_features_list" },
+  feature: { label: "feature", listTool: "pb_features_list" },
+  notes: { label: "note", listTool: "pb_notes_list" },
+  objectives: { label: "objective", listTool: "pb_objectives_list" },
+  "key-results": { label: "key result", listTool: "pb_key_results_list" },
+  initiatives: { label: "initiative", listTool: "pb_initiatives_list" },
+  releases: { label: "release", listTool: "pb_releases_list" },
+  release: { label: "release", listTool: "pb_releases_list" },
+  "release-groups": { label: "release group", listTool: "pb_release_groups_list" },
+  products: { label: "product", listTool: "pb_products_list" },
+  components: { label: "component", listTool: "pb_components_list" },
+  companies: { label: "company", listTool: "pb_companies_list" },
+  users: { label: "user", listTool: "pb_users_list" },
+  customField: { label: "custom field", listTool: "pb_custom_fields_list" },
+  hierarchyEntity: { label: "feature, component or product", listTool: "pb_features_list" },
+};
+
+// The IDs a request referred to, from `/collection/{id}` path pairs and `<entity>.id` query params.
+function describeRequestedResources(url) {
+  const resources = [];
+  const segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  segments.forEach((segment, index) => {
+    const type = RESOURCE_TYPES[segment];
+    const id = segments[index + 1];
+    if (type && id && !RESOURCE_TYPES[id] && id !== "links") resources.push({ ...type, id });
+  });
+  for (const [key, id] of url.searchParams) {
+    const type = RESOURCE_TYPES[key.replace(/\.id$/, "")];
+    if (key.endsWith(".id") && type) resources.push({ ...type, id });
+  }
+  return resources;
+}
+
+function isFeatureUrl(url) {
+  try {
+    return /^\/features(\/|$)/.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+function buildApiError(response, payload, fallbackText, url) {
   const status = response.status;
-  const retryAfterHeader = response.headers.get("retry-after");
-  const retryAfter = retryAfterHeader ? Number(retryAfterHeader) : undefined;
+  const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
 
   let message = extractErrorMessage(
     payload,
     fallbackText || `Productboard API returned HTTP ${status}.`,
   );
+  let hint;
 
   if (status === 401) {
     message = "Authentication failed. Check your Productboard API token.";
   } else if (status === 403) {
     message = "Access denied by Productboard API. Verify token permissions.";
   } else if (status === 404) {
-    message = "Requested Productboard resource was not found.";
+    const resources = url ? describeRequestedResources(url) : [];
+    if (resources.length > 0) {
+      message = `${resources.map(({ label, id }) => `${label} ${id}`).join(" or ")} was not found.`;
+      message = message[0].toUpperCase() + message.slice(1);
+      const listTools = [...new Set(resources.map(({ listTool }) => listTool))];
+      hint = `Call ${listTools.join(" or ")} to find a valid ID.`;
+    } else {
+      message = "Requested Productboard resource was not found.";
+    }
   } else if (status === 429) {
     message = "Productboard API rate limit reached. Please retry shortly.";
+    if (retryAfter !== undefined) {
+      hint = `Wait ${retryAfter} seconds before retrying, and prefer smaller limits or fewer calls.`;
+    }
+  } else if ((status === 400 || status === 422) && /status/i.test(message) && isFeatureUrl(url)) {
+    // Only features have a statuses endpoint to point at.
+    hint = "Call pb_feature_statuses to see valid status names.";
+  } else if (status === 400 || status === 422) {
+    hint = "Productboard rejected the request; details holds its validation errors.";
   }
 
   return new ProductboardApiError(message, {
     status,
     details: payload ?? fallbackText,
-    retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+    retryAfter,
+    hint,
+  });
+}
+
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  // Retry-After may also be an HTTP date.
+  const date = Date.parse(header);
+  if (Number.isFinite(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+
+  return undefined;
+}
+
+function isRetryableError(error) {
+  if (!(error instanceof ProductboardApiError) || error instanceof CancelledError) return false;
+  // Network failures carry no status.
+  if (error.status === undefined) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+function computeRetryDelay(error, attempt) {
+  if (error.retryAfter !== undefined) {
+    return error.retryAfter * 1000;
+  }
+
+  // Exponential backoff with full jitter.
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms, signal) {
+  throwIfCancelled(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(toCancelledError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
   });
 }
 
-async function apiRequest(method, path, { query, body, absoluteUrl } = {}) {
-  const token = getApiToken();
-  const url = absoluteUrl
-    ? new URL(absoluteUrl)
-    : new URL(path, PRODUCTBOARD_BASE_URL);
+// Settles with promise, or rejects as soon as signal aborts; promise itself keeps running.
+function waitWithSignal(promise, signal) {
+  throwIfCancelled(signal);
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(toCancelledError(signal.reason));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .finally(() => signal.removeEventListener("abort", onAbort))
+      .then(resolve, reject);
+  });
+}
+
+async function apiRequest(method, path, options = {}) {
+  // Dry-run calls still read, but only record the writes they would have sent.
+  const context = callContext.getStore();
+  if (context?.dryRun && method !== "GET") {
+    context.plannedRequests.push({
+      method,
+      path,
+      ...(options.query ? { query: options.query } : {}),
+      ...(options.body !== undefined ? { body: options.body } : {}),
+    });
+    return {};
+  }
+
+  const undoTarget = await captureUndoState(method, path);
+
+  let outcome;
+  try {
+    outcome = await requestWithRetry(method, path, options);
+    if (undoTarget) {
+      await recordUndoEntry(undoTarget, method, path, options.body);
+    }
+    return outcome.payload;
+  } catch (error) {
+    outcome = { status: error?.status, error };
+    throw error;
+  } finally {
+    // Writes may have succeeded even when the response was lost, so always invalidate.
+    if (method !== "GET" && path) {
+      invalidateReferenceCache(path);
+      await appendAuditEntry(method, path, options, outcome);
+    }
+  }
+}
+
+async function requestWithRetry(method, path, options) {
+  const { retryNonIdempotent = false } = options;
+  const policy = getRetryPolicy();
+  const canRetry = retryNonIdempotent || RETRYABLE_METHODS.has(method);
+  const startedAt = Date.now();
+
+  const profile = getActiveProfile();
+
+  // Never send the bearer token anywhere but the workspace's API origin.
+  if (options.absoluteUrl && new URL(options.absoluteUrl).origin !== profile.baseUrl.origin) {
+    throw new ProductboardApiError(
+      `Refusing to follow ${options.absoluteUrl}; only ${profile.baseUrl.origin} is allowed.`,
+      {
+        status: 502,
+        code: "UNTRUSTED_URL",
+        hint: "Productboard returned a link to another host. Retry without the link or cursor.",
+      },
+    );
+  }
+
+  const context = callContext.getStore();
+  const signal = context?.signal;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const waitedMs = await profile.rateLimiter.acquire(signal);
+    if (context) {
+      context.queueWaitMs += waitedMs;
+      context.requestCount += 1;
+    }
+
+    try {
+      return await sendApiRequest(method, path, { ...options, profile, signal });
+    } catch (error) {
+      if (!canRetry || attempt >= policy.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = computeRetryDelay(error, attempt);
+      if (Date.now() - startedAt + delay > policy.maxElapsedMs) {
+        throw error;
+      }
+
+      logEvent(
+        "warning",
+        `${method} ${path ?? options.absoluteUrl} failed (${error.status ?? "network"}); ` +
+          `retrying in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts}).`,
+        {
+          event: "retry",
+          method,
+          path: path ?? null,
+          status: error.status ?? null,
+          delay_ms: delay,
+          attempt: attempt + 1,
+          max_attempts: policy.maxAttempts,
+        },
+      );
+      await sleep(delay, signal);
+    }
+  }
+}
+
+async function sendApiRequest(method, path, { query, body, absoluteUrl, profile, signal } = {}) {
+  const token = getApiToken(profile);
+  const url = absoluteUrl ? new URL(absoluteUrl) : new URL(path, profile.baseUrl);
 
   if (!absoluteUrl && query) {
     applyQueryParams(url, query);
@@ -154,23 +861,61 @@ async function apiRequest(method, path, { query, body, absoluteUrl } = {}) {
     headers["Content-Type"] = "application/json";
   }
 
+  const timeoutMs = readNumberEnv("PRODUCTBOARD_REQUEST_TIMEOUT_MS", DEFAULT_REQUEST_TIMEOUT_MS, {
+    min: 1,
+  });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const onCancel = () => controller.abort();
+  signal?.addEventListener("abort", onCancel, { once: true });
+
+  const startedAt = Date.now();
+  logEvent("debug", `${method} ${sanitizeUrlForLog(url)}`, {
+    event: "http_request",
+    method,
+    url: sanitizeUrlForLog(url),
+  });
+
   let response;
+  let rawText;
   try {
+    throwIfCancelled(signal);
     response = await fetch(url, {
       method,
       headers,
       body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
     });
+    profile.rateLimiter.observe(response);
+    rawText = await response.text();
   } catch (error) {
+    throwIfCancelled(signal);
+    if (controller.signal.aborted) {
+      throw new ProductboardApiError(
+        `Productboard API did not respond within ${timeoutMs}ms.`,
+        { status: 504 },
+      );
+    }
     throw new ProductboardApiError(
       "Network error while contacting Productboard API.",
       {
+        code: "NETWORK",
         details: error instanceof Error ? error.message : String(error),
       },
     );
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onCancel);
   }
 
-  const rawText = await response.text();
+  logEvent("debug", `${method} ${sanitizeUrlForLog(url)} -> ${response.status}`, {
+    event: "http_response",
+    method,
+    url: sanitizeUrlForLog(url),
+    status: response.status,
+    duration_ms: Date.now() - startedAt,
+  });
+
   let payload;
 
   if (rawText) {
@@ -182,90 +927,590 @@ async function apiRequest(method, path, { query, body, absoluteUrl } = {}) {
   }
 
   if (!response.ok) {
-    throw buildApiError(response, payload, rawText || undefined);
+    throw buildApiError(response, payload, rawText || undefined, url);
   }
 
-  return payload ?? {};
+  return { status: response.status, payload: payload ?? {} };
 }
 
-async function listWithLinks(path, { query = {}, limit = DEFAULT_LIMIT, pageSizeParam } = {}) {
-  const maxItems = normalizeLimit(limit);
-  const items = [];
-  let nextUrl = null;
-
-  let firstQuery = { ...query };
-  if (pageSizeParam && firstQuery[pageSizeParam] == null) {
-    firstQuery[pageSizeParam] = Math.min(MAX_PAGE_SIZE, maxItems);
-  }
-
-  while (items.length < maxItems) {
-    const payload = nextUrl
-      ? await apiRequest("GET", null, { absoluteUrl: nextUrl })
-      : await apiRequest("GET", path, { query: firstQuery });
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[_-]?key/i;
 
-    const pageItems = Array.isArray(payload?.data) ? payload.data : [];
-    const remaining = maxItems - items.length;
-    items.push(...pageItems.slice(0, remaining));
+// Local files default to ~/.productboard-connector/<fileName>; "off" disables them.
+function resolveLocalDataPath(envName, fileName) {
+  const raw = process.env[envName]?.trim();
+  if (raw && ["off", "false", "0", "none"].includes(raw.toLowerCase())) return undefined;
+  return raw || join(homedir(), ".productboard-connector", fileName);
+}
 
-    const candidateNext = payload?.links?.next;
-    if (!candidateNext || items.length >= maxItems) {
-      return {
-        items,
-        count: items.length,
-        has_more: Boolean(candidateNext) && items.length >= maxItems,
-        next: candidateNext ?? null,
-      };
-    }
+function getAuditLogPath() {
+  return resolveLocalDataPath("PRODUCTBOARD_AUDIT_LOG", "audit.jsonl");
+}
 
-    nextUrl = candidateNext.startsWith("http")
-      ? candidateNext
-      : new URL(candidateNext, PRODUCTBOARD_BASE_URL).toString();
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== "object") return value;
 
-    firstQuery = {};
-  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, raw]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) ? "[REDACTED]" : redactSecrets(raw),
+    ]),
+  );
+}
 
-  return {
-    items,
-    count: items.length,
-    has_more: false,
-    next: null,
-  };
+function entityIdFromPath(path) {
+  const segment = String(path).split("?")[0].split("/")[2];
+  return segment ? decodeURIComponent(segment) : null;
 }
 
-async function listNotes({ query = {}, limit = DEFAULT_LIMIT } = {}) {
-  const maxItems = normalizeLimit(limit);
-  const items = [];
-  let cursor = query.pageCursor;
+// Appends are chained so entries land in the order the writes finished.
+let auditWriteQueue = Promise.resolve();
+
+function appendAuditEntry(method, path, options, outcome) {
+  const filePath = getAuditLogPath();
+  if (!filePath) return auditWriteQueue;
+
+  const context = callContext.getStore();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    workspace: context?.profile?.name ?? null,
+    tool: context?.toolName ?? null,
+    arguments: redactSecrets(context?.toolArgs ?? null),
+    method,
+    path,
+    ...(options.query ? { query: options.query } : {}),
+    status: outcome?.status ?? null,
+    entity_id: outcome?.payload?.data?.id ?? entityIdFromPath(path),
+    ...(outcome?.error ? { error: outcome.error.message ?? String(outcome.error) } : {}),
+  };
 
-  while (items.length < maxItems) {
-    const remaining = maxItems - items.length;
-    const pageLimit = Math.min(MAX_PAGE_SIZE, remaining);
+  auditWriteQueue = auditWriteQueue
+    .then(async () => {
+      await mkdir(dirname(filePath), { recursive: true });
+      await appendFile(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+    })
+    .catch((error) => logError(`Failed to write audit log ${filePath}`, error));
 
-    const pageQuery = {
-      ...query,
-      pageLimit,
-    };
+  return auditWriteQueue;
+}
 
-    if (cursor) {
-      pageQuery.pageCursor = cursor;
-    } else {
-      delete pageQuery.pageCursor;
-    }
+async function readAuditEntries() {
+  const filePath = getAuditLogPath();
+  if (!filePath) {
+    throw new ProductboardApiError("Audit logging is disabled (PRODUCTBOARD_AUDIT_LOG=off).", {
+      status: 400,
+    });
+  }
 
-    const payload = await apiRequest("GET", "/notes", { query: pageQuery });
-    const pageItems = Array.isArray(payload?.data) ? payload.data : [];
+  let raw;
+  try {
+    raw = await readFile(filePath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return [];
+    throw error;
+  }
 
-    items.push(...pageItems.slice(0, remaining));
+  return raw
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+function getUndoJournalPath() {
+  return resolveLocalDataPath("PRODUCTBOARD_UNDO_JOURNAL", "undo-journal.json");
+}
+
+async function readUndoJournal(filePath) {
+  try {
+    const journal = JSON.parse(await readFile(filePath, "utf8"));
+    return Array.isArray(journal?.entries) ? journal : { entries: [] };
+  } catch (error) {
+    if (error?.code !== "ENOENT") {
+      logError(`Ignoring unreadable undo journal ${filePath}`, error);
+    }
+    return { entries: [] };
+  }
+}
+
+// Read-modify-write cycles are chained so concurrent tool calls never drop entries.
+let undoJournalQueue = Promise.resolve();
+
+// With write: false, mutate still runs inside the queue but the journal file is left as is.
+function updateUndoJournal(mutate, { write = true } = {}) {
+  const filePath = getUndoJournalPath();
+  if (!filePath) {
+    return Promise.reject(
+      new ProductboardApiError("Undo journal is disabled (PRODUCTBOARD_UNDO_JOURNAL=off).", {
+        status: 400,
+      }),
+    );
+  }
+
+  const run = undoJournalQueue.then(async () => {
+    const journal = await readUndoJournal(filePath);
+    const result = await mutate(journal);
+    if (!write) return result;
+    journal.entries = journal.entries.slice(-MAX_UNDO_JOURNAL_ENTRIES);
+
+    await mkdir(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await writeFile(tempPath, `${JSON.stringify(journal, null, 2)}\n`, "utf8");
+    await rename(tempPath, filePath);
+    return result;
+  });
+
+  undoJournalQueue = run.catch(() => {});
+  return run;
+}
+
+// Fetches the entity a PATCH/DELETE is about to change so pb_undo can restore it.
+async function captureUndoState(method, path) {
+  if ((method !== "PATCH" && method !== "DELETE") || !UNDOABLE_PATH_PATTERN.test(path ?? "")) {
+    return undefined;
+  }
+  // Reverts made by pb_undo are not journaled, so repeated undos keep stepping back.
+  if (!getUndoJournalPath() || callContext.getStore()?.toolName === "pb_undo") return undefined;
+
+  try {
+    const payload = await apiRequest("GET", path);
+    return payload?.data ? { before: payload.data } : undefined;
+  } catch (error) {
+    if (error instanceof CancelledError) throw error;
+    logError(`Could not capture undo state for ${path}; the change will not be undoable.`, error);
+    return undefined;
+  }
+}
+
+async function recordUndoEntry({ before }, method, path, body) {
+  const context = callContext.getStore();
+  const [, collection, rawId] = path.split("/");
+  const entry = {
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    workspace: context?.profile?.name ?? null,
+    tool: context?.toolName ?? null,
+    method,
+    path,
+    collection,
+    entity_id: decodeURIComponent(rawId),
+    fields: method === "PATCH" ? Object.keys(toObject(body?.data)) : undefined,
+    before,
+    undone_at: null,
+  };
+
+  try {
+    await updateUndoJournal((journal) => {
+      journal.entries.push(entry);
+    });
+  } catch (error) {
+    logError(`Failed to write undo journal entry for ${path}`, error);
+  }
+}
+
+function toIdReference(value) {
+  return value?.id ? { id: value.id } : null;
+}
+
+// Converts a value read from the API back into the shape its write endpoints accept.
+function toRestorableValue(key, value) {
+  if (value === undefined || value === null) return null;
+
+  if (key === "owner") {
+    return value.email ? { email: value.email } : null;
+  }
+
+  if (key === "status" || key === "releaseGroup") {
+    return toIdReference(value) ?? value;
+  }
+
+  if (key === "parent") {
+    if (value.id) return { id: value.id };
+    const [type, reference] = Object.entries(toObject(value)).find(([, ref]) => ref?.id) ?? [];
+    return type ? { [type]: { id: reference.id } } : null;
+  }
+
+  return value;
+}
+
+async function revertUndoEntry(entry) {
+  if (entry.method === "PATCH") {
+    const data = Object.fromEntries(
+      (entry.fields ?? []).map((key) => [key, toRestorableValue(key, entry.before[key])]),
+    );
+    await apiRequest("PATCH", entry.path, { body: { data } });
+    return { reverted_with: "PATCH", entity_id: entry.entity_id };
+  }
+
+  if (entry.method === "DELETE" && entry.collection === "features") {
+    const before = entry.before;
+    const parent = toRestorableValue("parent", before.parent);
+    const status = toRestorableValue("status", before.status);
+    const owner = toRestorableValue("owner", before.owner);
+
+    const payload = await apiRequest("POST", "/features", {
+      body: {
+        data: {
+          name: before.name,
+          description: before.description ?? "",
+          ...(before.type ? { type: before.type } : {}),
+          ...(status ? { status } : {}),
+          ...(parent ? { parent } : {}),
+          ...(owner ? { owner } : {}),
+          ...(before.timeframe ? { timeframe: before.timeframe } : {}),
+          ...(before.archived !== undefined ? { archived: Boolean(before.archived) } : {}),
+        },
+      },
+    });
+
+    return {
+      reverted_with: "POST",
+      entity_id: payload?.data?.id ?? null,
+      original_entity_id: entry.entity_id,
+      warning:
+        "The feature was recreated with a new ID. Notes, release assignments and objective links are not restored.",
+    };
+  }
+
+  throw new ProductboardApiError(
+    `Journal entry ${entry.id} (${entry.method} ${entry.path}) cannot be undone.`,
+    { status: 400 },
+  );
+}
+
+// Opaque list cursors: the page to fetch next plus how many of its items were already
+// returned, tied to the workspace, endpoint and filters they were issued for. Cursors are
+// signed with a per-process key, since the page URL inside is fetched with the workspace token.
+const CURSOR_SIGNING_KEY = randomBytes(32);
+
+function signCursorPayload(payload) {
+  return createHmac("sha256", CURSOR_SIGNING_KEY).update(payload).digest("base64url");
+}
+
+function listCursorScope(path, query) {
+  const params = Object.entries(query)
+    .filter(([key]) => key !== "pageCursor")
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => [key, String(value)]);
+  return createHash("sha256")
+    .update(JSON.stringify([getActiveProfile().name, path, params]))
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+function encodeListCursor(path, query, position) {
+  const state = { endpoint: path, scope: listCursorScope(path, query), ...position };
+  const payload = Buffer.from(JSON.stringify(state)).toString("base64url");
+  return `${payload}.${signCursorPayload(payload)}`;
+}
+
+function decodeListCursor(cursor, path, query) {
+  if (cursor === undefined || cursor === null || cursor === "") return undefined;
+
+  const [payload = "", signature = ""] = String(cursor).split(".");
+  const expected = Buffer.from(signCursorPayload(payload));
+  const actual = Buffer.from(signature);
+  let state;
+  if (actual.length === expected.length && timingSafeEqual(actual, expected)) {
+    try {
+      state = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch {
+      state = undefined;
+    }
+  }
+
+  const hint =
+    "Pass next_cursor unchanged with the same filters as the call that returned it, or omit " +
+    "cursor to start over. Cursors expire when the server restarts.";
+  if (!state || typeof state !== "object" || typeof state.endpoint !== "string") {
+    throw new ProductboardApiError("Invalid or expired cursor.", {
+      status: 400,
+      code: "INVALID_CURSOR",
+      hint,
+    });
+  }
+
+  if (state.endpoint !== path) {
+    throw new ProductboardApiError(
+      `This cursor was issued for ${state.endpoint}, not ${path}.`,
+      { status: 400, code: "INVALID_CURSOR", hint },
+    );
+  }
+
+  if (state.scope !== listCursorScope(path, query)) {
+    throw new ProductboardApiError(
+      "This cursor was issued for different filters or another workspace.",
+      { status: 400, code: "INVALID_CURSOR", hint },
+    );
+  }
+
+  return { ...state, skip: Number.isInteger(state.skip) && state.skip > 0 ? state.skip : 0 };
+}
+
+async function listWithLinks(
+  path,
+  { query = {}, limit = DEFAULT_LIMIT, pageSizeParam, cursor } = {},
+) {
+  const maxItems = normalizeLimit(limit);
+  const items = [];
+  const resume = decodeListCursor(cursor, path, query);
+  // null means the first page, requested from path + query.
+  let pageUrl = resume?.url ?? null;
+  let skip = resume?.skip ?? 0;
+  let page = 0;
+
+  const firstQuery = { ...query };
+  if (pageSizeParam && firstQuery[pageSizeParam] == null) {
+    firstQuery[pageSizeParam] = Math.min(MAX_PAGE_SIZE, maxItems);
+  }
+
+  const cursorAt = (url, offset) => {
+    let target = url;
+    if (!target) {
+      const firstPage = new URL(path, getActiveProfile().baseUrl);
+      applyQueryParams(firstPage, firstQuery);
+      target = firstPage.toString();
+    }
+    return encodeListCursor(path, query, { url: target, skip: offset });
+  };
+
+  while (items.length < maxItems) {
+    let payload;
+    try {
+      payload = pageUrl
+        ? await apiRequest("GET", null, { absoluteUrl: pageUrl })
+        : await apiRequest("GET", path, { query: firstQuery });
+    } catch (error) {
+      if (!(error instanceof CancelledError)) throw error;
+      return {
+        items,
+        count: items.length,
+        has_more: true,
+        next: pageUrl,
+        next_cursor: cursorAt(pageUrl, skip),
+        cancelled: true,
+        cancel_reason: error.message,
+      };
+    }
+
+    const pageItems = Array.isArray(payload?.data) ? payload.data : [];
+    const taken = pageItems.slice(skip, skip + maxItems - items.length);
+    items.push(...taken);
+    const consumed = skip + taken.length;
+    page += 1;
+    reportPageFetched(path, page, items.length, maxItems);
+
+    const candidateNext = payload?.links?.next;
+    const nextUrl = candidateNext
+      ? new URL(candidateNext, getActiveProfile().baseUrl).toString()
+      : null;
+
+    // Stopped part-way through this page: resume from the same page, past what we returned.
+    if (consumed < pageItems.length) {
+      return {
+        items,
+        count: items.length,
+        has_more: true,
+        next: candidateNext ?? null,
+        next_cursor: cursorAt(pageUrl, consumed),
+      };
+    }
+
+    if (!nextUrl || items.length >= maxItems) {
+      return {
+        items,
+        count: items.length,
+        has_more: Boolean(nextUrl),
+        next: candidateNext ?? null,
+        next_cursor: nextUrl ? cursorAt(nextUrl, 0) : null,
+      };
+    }
+
+    pageUrl = nextUrl;
+    skip = 0;
+  }
+
+  return {
+    items,
+    count: items.length,
+    has_more: false,
+    next: null,
+    next_cursor: null,
+  };
+}
+
+const referenceCache = new Map();
+
+function referenceCacheKey(profile, path, query, limit) {
+  const params = new URLSearchParams(
+    Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => [key, String(value)]),
+  );
+  return `${profile.name}|${path}?${params}#${limit}`;
+}
+
+// A caller that gives up on a shared listing gets the same shape as a listing cancelled before
+// its first page came back.
+async function waitForSharedList(promise, path, query, signal) {
+  try {
+    return await waitWithSignal(promise, signal);
+  } catch (error) {
+    if (!(error instanceof CancelledError)) throw error;
+    const firstPage = new URL(path, getActiveProfile().baseUrl);
+    applyQueryParams(firstPage, query);
+    return {
+      items: [],
+      count: 0,
+      has_more: true,
+      next: null,
+      next_cursor: encodeListCursor(path, query, { url: firstPage.toString(), skip: 0 }),
+      cancelled: true,
+      cancel_reason: error.message,
+    };
+  }
+}
+
+// Caches listWithLinks results for slow-changing reference collections.
+async function listWithCache(
+  path,
+  { query = {}, limit = DEFAULT_LIMIT, refresh = false, cursor } = {},
+) {
+  // Only first pages are cached; resumed listings always go to the API.
+  const ttl = REFERENCE_CACHE_TTL_MS[path];
+  if (!ttl || cursor) {
+    return listWithLinks(path, { query, limit, cursor });
+  }
+
+  const context = callContext.getStore();
+  const key = referenceCacheKey(getActiveProfile(), path, query, normalizeLimit(limit));
+  const cached = referenceCache.get(key);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    if (context) context.cacheHits += 1;
+    return waitForSharedList(cached.promise, path, query, context?.signal);
+  }
+
+  // Every caller with this key shares the fetch, so it runs under its own context and timeout
+  // instead of the first caller's; each caller only stops waiting when its own signal aborts.
+  const timeoutMs = getToolTimeoutMs();
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () => controller.abort(new CancelledError(`Fetching ${path} exceeded ${timeoutMs}ms.`)),
+    timeoutMs,
+  );
+  const fetchContext = createCallContext({
+    profile: getActiveProfile(),
+    signal: controller.signal,
+  });
+  const promise = callContext.run(fetchContext, () => listWithLinks(path, { query, limit }));
+  referenceCache.set(key, { promise, expiresAt: Date.now() + ttl });
+
+  // Never keep failed or cancelled (partial) results around.
+  const evict = () => {
+    if (referenceCache.get(key)?.promise === promise) {
+      referenceCache.delete(key);
+    }
+  };
+  promise
+    .finally(() => clearTimeout(timer))
+    .then((result) => result.cancelled && evict(), evict);
+
+  try {
+    return await waitForSharedList(promise, path, query, context?.signal);
+  } finally {
+    // The requests were made for this caller, whether or not they succeeded.
+    if (context) {
+      context.requestCount += fetchContext.requestCount;
+      context.queueWaitMs += fetchContext.queueWaitMs;
+    }
+  }
+}
+
+function invalidateReferenceCache(path) {
+  const collection = `${getActiveProfile().name}|/${String(path).split("/")[1] ?? ""}`;
+  for (const key of referenceCache.keys()) {
+    if (key.startsWith(`${collection}?`) || key.startsWith(`${collection}/`)) {
+      referenceCache.delete(key);
+    }
+  }
+}
+
+async function listNotes({ query = {}, limit = DEFAULT_LIMIT, cursor } = {}) {
+  const maxItems = normalizeLimit(limit);
+  const items = [];
+  const resume = decodeListCursor(cursor, "/notes", query);
+  let pageCursor = resume ? resume.page_cursor : query.pageCursor;
+  let skip = resume?.skip ?? 0;
+  let page = 0;
+
+  const cursorAt = (position, offset) =>
+    encodeListCursor("/notes", query, { page_cursor: position ?? null, skip: offset });
+
+  while (items.length < maxItems) {
+    const remaining = maxItems - items.length;
+    const pageLimit = Math.min(MAX_PAGE_SIZE, skip + remaining);
+
+    const pageQuery = {
+      ...query,
+      pageLimit,
+    };
+
+    if (pageCursor) {
+      pageQuery.pageCursor = pageCursor;
+    } else {
+      delete pageQuery.pageCursor;
+    }
+
+    let payload;
+    try {
+      payload = await apiRequest("GET", "/notes", { query: pageQuery });
+    } catch (error) {
+      if (!(error instanceof CancelledError)) throw error;
+      return {
+        items,
+        count: items.length,
+        has_more: true,
+        next_cursor: cursorAt(pageCursor, skip),
+        cancelled: true,
+        cancel_reason: error.message,
+      };
+    }
+
+    const pageItems = Array.isArray(payload?.data) ? payload.data : [];
+    const taken = pageItems.slice(skip, skip + remaining);
+    items.push(...taken);
+    const consumed = skip + taken.length;
+    page += 1;
+    reportPageFetched("/notes", page, items.length, maxItems);
+
+    if (consumed < pageItems.length) {
+      return {
+        items,
+        count: items.length,
+        has_more: true,
+        next_cursor: cursorAt(pageCursor, consumed),
+      };
+    }
 
-    cursor = payload?.pageCursor;
-    if (!cursor || items.length >= maxItems) {
+    const nextPageCursor = payload?.pageCursor;
+    if (!nextPageCursor || items.length >= maxItems) {
       return {
         items,
         count: items.length,
-        has_more: Boolean(cursor) && items.length >= maxItems,
-        next_cursor: cursor ?? null,
+        has_more: Boolean(nextPageCursor),
+        next_cursor: nextPageCursor ? cursorAt(nextPageCursor, 0) : null,
       };
     }
+
+    pageCursor = nextPageCursor;
+    skip = 0;
   }
 
   return {
@@ -326,6 +1571,88 @@ function resolveStatusFromArgs(rawArgs) {
   return undefined;
 }
 
+// Only feature statuses have an endpoint listing what the workspace allows; objective, key
+// result and initiative statuses are left for the API to judge.
+const STATUS_SOURCES = {
+  feature: { path: "/feature-statuses", tool: "pb_feature_statuses" },
+};
+
+// Release states are fixed by the API rather than configured per workspace.
+const RELEASE_STATES = ["upcoming", "in-progress", "completed"];
+
+function throwUnknownValue(message, { field, value, allowed, hint }) {
+  const suggestion = suggestClosest(String(value), allowed);
+  throw new ProductboardApiError(
+    `${message}${suggestion ? ` Did you mean "${suggestion}"?` : ""}`,
+    {
+      status: 400,
+      hint,
+      details: { field, value, allowed, ...(suggestion ? { suggestion } : {}) },
+    },
+  );
+}
+
+// Checks a status from resolveStatusFromArgs against the workspace and returns it with the
+// name spelled as the workspace spells it.
+async function verifyWorkspaceStatus(entity, status) {
+  const source = STATUS_SOURCES[entity];
+  if (!status || !source) return status;
+
+  let statuses;
+  try {
+    ({ items: statuses } = await listWithCache(source.path, { limit: 1000 }));
+  } catch (error) {
+    if (error instanceof CancelledError) throw error;
+    // Let the API judge the status rather than block the write on a failed lookup.
+    logError(`Could not load ${entity} statuses; sending the status unchecked.`, error);
+    return status;
+  }
+
+  const names = new Map();
+  for (const candidate of statuses) {
+    if (typeof candidate?.name === "string") {
+      names.set(normalizeNameInput(candidate.name), candidate.name);
+    }
+  }
+  if (names.size === 0) return status;
+
+  const hint = `Use one of details.allowed, or call ${source.tool} to see them.`;
+  if (status.id) {
+    if (statuses.some((candidate) => candidate?.id === status.id)) return status;
+    throw new ProductboardApiError(`Unknown ${entity} status ID "${status.id}".`, {
+      status: 400,
+      hint,
+      details: {
+        field: "status_id",
+        value: status.id,
+        allowed: statuses.map((candidate) => ({ id: candidate?.id, name: candidate?.name })),
+      },
+    });
+  }
+
+  const canonical = names.get(normalizeNameInput(status.name));
+  if (canonical) return { name: canonical };
+
+  throwUnknownValue(`Unknown ${entity} status "${status.name}".`, {
+    field: "status_name",
+    value: status.name,
+    allowed: [...names.values()],
+    hint,
+  });
+}
+
+function normalizeReleaseState(state) {
+  if (state === undefined || state === null || state === "") return undefined;
+  if (RELEASE_STATES.includes(state)) return state;
+
+  throwUnknownValue(`Unknown release state "${state}".`, {
+    field: "state",
+    value: state,
+    allowed: RELEASE_STATES,
+    hint: `Use one of ${RELEASE_STATES.join(", ")}.`,
+  });
+}
+
 function normalizeParentInput(args, { required = false } = {}) {
   const input = toObject(args);
   const explicitParent = toObject(input.parent);
@@ -368,7 +1695,7 @@ function normalizeParentInput(args, { required = false } = {}) {
 
   if (required) {
     throw new ProductboardApiError(
-      "Missing feature parent. Provide product.id, component.id, or parent_feature_id.",
+      "Missing feature parent. Provide a product, component or parent feature, by ID or name.",
       { status: 400 },
     );
   }
@@ -494,60 +1821,305 @@ function buildProgressInput(rawArgs) {
   };
 }
 
-function asJsonResult(data) {
+function asJsonResult(data, { compact = false } = {}) {
   return {
     content: [
       {
         type: "text",
-        text: JSON.stringify(data, null, 2),
+        text: compact ? JSON.stringify(data) : JSON.stringify(data, null, 2),
       },
     ],
   };
 }
 
-function asErrorResult(error) {
-  const status = error?.status;
-  const payload = {
-    error: {
-      message: error instanceof Error ? error.message : String(error),
-      ...(status ? { status } : {}),
-      ...(error?.retryAfter ? { retry_after_seconds: error.retryAfter } : {}),
-      ...(error?.details ? { details: error.details } : {}),
-    },
-  };
-
-  return {
-    isError: true,
-    content: [
-      {
-        type: "text",
-        text: JSON.stringify(payload, null, 2),
-      },
-    ],
-  };
+// structuredContent must be an object; a bare null or array result is wrapped.
+function toStructuredContent(data) {
+  return data !== null && typeof data === "object" && !Array.isArray(data)
+    ? data
+    : { value: data ?? null };
 }
 
-async function pbFeaturesList(rawArgs) {
-  const args = toObject(rawArgs);
-  const limit = normalizeLimit(args.limit);
+// Hypermedia keys dropped in compact mode.
+const HYPERMEDIA_KEYS = new Set(["links", "_links"]);
 
-  const filterMap = {
-    ...(args.status_id ? { "status.id": args.status_id } : {}),
-    ...(args.status_name ? { "status.name": args.status_name } : {}),
-    ...(args.parent_id ? { "parent.id": args.parent_id } : {}),
-    ...(args.owner_email ? { "owner.email": args.owner_email } : {}),
-    ...(args.note_id ? { "note.id": args.note_id } : {}),
-    ...(args.archived !== undefined ? { archived: args.archived } : {}),
-  };
+// Parses `fields` ("id,name,status.name" or an array of paths) into a list of dotted paths.
+function parseFieldsInput(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const rawPaths = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : null;
+  if (!rawPaths || rawPaths.some((path) => typeof path !== "string")) {
+    throw new ProductboardApiError(
+      "Invalid fields. Provide a comma-separated string or an array of dotted paths.",
+      { status: 400 },
+    );
+  }
+
+  const paths = [];
+  for (const rawPath of rawPaths.map((path) => path.trim()).filter(Boolean)) {
+    const segments = rawPath.split(".").map((segment) => segment.trim());
+    if (segments.some((segment) => !segment)) {
+      throw new ProductboardApiError(`Invalid field path: "${rawPath}".`, { status: 400 });
+    }
+    paths.push(segments.join("."));
+  }
+
+  return paths.length > 0 ? paths : undefined;
+}
+
+// Turns ["id", "status.name"] into { id: true, status: { name: true } }.
+function buildFieldTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    const segments = path.split(".");
+    let node = tree;
+    segments.forEach((key, index) => {
+      if (node[key] === true) return;
+      if (index === segments.length - 1) {
+        node[key] = true;
+        return;
+      }
+      node[key] ??= {};
+      node = node[key];
+    });
+  }
+  return tree;
+}
+
+function projectFields(value, tree) {
+  if (tree === true || value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((item) => projectFields(item, tree));
+
+  const projected = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (Object.hasOwn(value, key)) projected[key] = projectFields(value[key], subtree);
+  }
+  return projected;
+}
+
+function stripHypermedia(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(stripHypermedia);
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !HYPERMEDIA_KEYS.has(key))
+      .map(([key, entry]) => [key, stripHypermedia(entry)]),
+  );
+}
+
+// Applies `fields` and `compact` to a read tool's result. Lists project each item and keep
+// their envelope (endpoint, count, has_more, next); get tools project the entity itself.
+function shapeReadResult(data, { fields, compact }) {
+  if (data === null || typeof data !== "object") return data;
+
+  const tree = fields ? buildFieldTree(fields) : undefined;
+  const shapeEntity = (entity) => {
+    const projected = tree ? projectFields(entity, tree) : entity;
+    return compact ? stripHypermedia(projected) : projected;
+  };
+
+  if (Array.isArray(data.items)) {
+    return { ...data, items: data.items.map(shapeEntity) };
+  }
+
+  return shapeEntity(data);
+}
+
+const OUTPUT_FORMATS = ["json", "markdown", "csv"];
+
+function parseFormatInput(value) {
+  if (value === undefined || value === null || value === "") return "json";
+
+  const format = String(value).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ProductboardApiError(
+      `Invalid format "${value}". Use ${OUTPUT_FORMATS.join(", ")}.`,
+      { status: 400 },
+    );
+  }
+  return format;
+}
+
+const FEATURE_COLUMNS = ["id", "name", "status.name", "owner.email", "timeframe.endDate"];
+const NOTE_COLUMNS = ["id", "title", "state", "user.email", "tags", "createdAt"];
+const OBJECTIVE_COLUMNS = ["id", "name", "status.name", "owner.email", "timeframe.endDate"];
+const KEY_RESULT_COLUMNS = [
+  "id",
+  "name",
+  "status.name",
+  "owner.email",
+  "progress.currentValue",
+  "progress.targetValue",
+];
+const RELEASE_COLUMNS = [
+  "id",
+  "name",
+  "state",
+  "timeframe.startDate",
+  "timeframe.endDate",
+  "releaseGroup.id",
+];
+
+// Table columns used by format=markdown/csv when no `fields` are given. Tools without an
+// entry get the scalar top-level fields of their items.
+const DEFAULT_TABLE_COLUMNS = {
+  pb_features_list: FEATURE_COLUMNS,
+  pb_feature_get: FEATURE_COLUMNS,
+  pb_feature_statuses: ["id", "name", "completed"],
+  pb_components_list: ["id", "name", "owner.email"],
+  pb_notes_list: NOTE_COLUMNS,
+  pb_note_get: NOTE_COLUMNS,
+  pb_products_list: ["id", "name", "owner.email"],
+  pb_objectives_list: OBJECTIVE_COLUMNS,
+  pb_objective_get: OBJECTIVE_COLUMNS,
+  pb_key_results_list: KEY_RESULT_COLUMNS,
+  pb_key_result_get: KEY_RESULT_COLUMNS,
+  pb_initiatives_list: OBJECTIVE_COLUMNS,
+  pb_initiative_get: OBJECTIVE_COLUMNS,
+  pb_releases_list: RELEASE_COLUMNS,
+  pb_release_get: RELEASE_COLUMNS,
+  pb_release_groups_list: ["id", "name", "description"],
+  pb_feature_release_list: ["feature.id", "release.id", "state"],
+  pb_companies_list: ["id", "name", "domain"],
+  pb_users_list: ["id", "name", "email", "role"],
+  pb_custom_fields_list: ["id", "name", "type"],
+  pb_audit_log_query: ["timestamp", "tool", "method", "path", "status", "entity_id"],
+};
+
+function getPathValue(value, path) {
+  let current = value;
+  for (const [index, key] of path.entries()) {
+    if (Array.isArray(current)) {
+      return current.map((item) => getPathValue(item, path.slice(index)));
+    }
+    if (current === null || typeof current !== "object") return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) {
+    return value.every((item) => item === null || typeof item !== "object")
+      ? value.filter((item) => item !== undefined && item !== null).join("; ")
+      : JSON.stringify(value);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function inferTableColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    if (row === null || typeof row !== "object") continue;
+    for (const [key, value] of Object.entries(row)) {
+      if (HYPERMEDIA_KEYS.has(key)) continue;
+      if (value === null || typeof value !== "object") columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+function toMarkdownTable(columns, rows) {
+  const escape = (text) => text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const lines = [
+    `| ${columns.map(escape).join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(escape).join(" | ")} |`),
+  ];
+  return lines.join("\n");
+}
+
+function toCsv(columns, rows) {
+  const escape = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  return [columns, ...rows].map((row) => row.map(escape).join(",")).join("\r\n");
+}
+
+// Renders a (shaped) read result as a Markdown table or CSV. The list envelope (count,
+// has_more, next, ...) follows as a second JSON content item so the model can keep paging.
+function asTableResult(toolName, data, { format, fields }) {
+  const isList = data !== null && typeof data === "object" && Array.isArray(data.items);
+  const entities = isList ? data.items : data === null || data === undefined ? [] : [data];
+  const columns = fields ?? DEFAULT_TABLE_COLUMNS[toolName] ?? inferTableColumns(entities);
+  const rows = entities.map((entity) =>
+    columns.map((column) => formatCell(getPathValue(entity, column.split(".")))),
+  );
+
+  const content = [
+    {
+      type: "text",
+      text: format === "csv" ? toCsv(columns, rows) : toMarkdownTable(columns, rows),
+    },
+  ];
+
+  if (isList) {
+    const { items, ...envelope } = data;
+    content.push({ type: "text", text: JSON.stringify(envelope) });
+  }
+
+  return { content };
+}
+
+function asErrorResult(error) {
+  const status = error?.status;
+  const isApiError = error instanceof ProductboardApiError;
+  const payload = {
+    error: {
+      message: error instanceof Error ? error.message : String(error),
+      code: isApiError ? error.code : "INTERNAL",
+      hint: isApiError ? error.hint : DEFAULT_ERROR_HINTS.INTERNAL,
+      ...(status ? { status } : {}),
+      ...(error?.retryAfter ? { retry_after_seconds: error.retryAfter } : {}),
+      ...(error instanceof CancelledError ? { cancelled: true } : {}),
+      ...(error?.details ? { details: error.details } : {}),
+    },
+  };
+
+  return {
+    isError: true,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(payload, null, 2),
+      },
+    ],
+  };
+}
+
+async function pbFeaturesList(rawArgs) {
+  const args = toObject(rawArgs);
+  const limit = normalizeLimit(args.limit);
+
+  const filterMap = {
+    ...(args.status_id ? { "status.id": args.status_id } : {}),
+    ...(args.status_name ? { "status.name": args.status_name } : {}),
+    ...(args.parent_id ? { "parent.id": args.parent_id } : {}),
+    ...(args.owner_email ? { "owner.email": args.owner_email } : {}),
+    ...(args.note_id ? { "note.id": args.note_id } : {}),
+    ...(args.archived !== undefined ? { archived: args.archived } : {}),
+  };
 
   // Productboard features list uses parent.id filter. Accept product.id as convenience.
-  if (args.product_id || args["product.id"] || args.product?.id) {
-    filterMap["parent.id"] = args.product_id ?? args["product.id"] ?? args.product.id;
+  const productId = args.product_id ?? args["product.id"] ?? args.product?.id;
+  if (productId) {
+    if (filterMap["parent.id"]) {
+      throw new ProductboardApiError(
+        "Filter by a product or by a parent component or feature, not both; " +
+          "both filter on parent.id.",
+        { status: 400 },
+      );
+    }
+    filterMap["parent.id"] = productId;
   }
 
   Object.assign(filterMap, flattenFilters(args.filters));
 
-  const result = await listWithLinks("/features", { query: filterMap, limit });
+  const result = await listWithLinks("/features", {
+    query: filterMap,
+    limit,
+    cursor: args.cursor,
+  });
 
   return {
     endpoint: "/features",
@@ -575,7 +2147,7 @@ async function pbFeatureCreate(rawArgs) {
     );
   }
 
-  const status = resolveStatusFromArgs(args);
+  const status = await verifyWorkspaceStatus("feature", resolveStatusFromArgs(args));
   if (!status) {
     throw new ProductboardApiError(
       "Missing required status. Provide status.name, status.id, status_name, or status_id.",
@@ -609,7 +2181,7 @@ async function pbFeatureUpdate(rawArgs) {
     throw new ProductboardApiError("Missing required parameter: id", { status: 400 });
   }
 
-  const status = resolveStatusFromArgs(args);
+  const status = await verifyWorkspaceStatus("feature", resolveStatusFromArgs(args));
   const parent = normalizeParentInput(args);
   const timeframe = buildTimeframeInput(args.timeframe);
 
@@ -659,7 +2231,7 @@ async function pbNotesList(rawArgs) {
     ...flattenFilters(args.filters),
   };
 
-  const result = await listNotes({ query, limit });
+  const result = await listNotes({ query, limit, cursor: args.cursor });
 
   return {
     endpoint: "/notes",
@@ -703,7 +2275,11 @@ async function pbNoteCreate(rawArgs) {
 async function pbProductsList(rawArgs) {
   const args = toObject(rawArgs);
   const limit = normalizeLimit(args.limit);
-  const result = await listWithLinks("/products", { limit });
+  const result = await listWithCache("/products", {
+    limit,
+    refresh: args.refresh === true,
+    cursor: args.cursor,
+  });
 
   return {
     endpoint: "/products",
@@ -720,7 +2296,7 @@ async function pbReleasesList(rawArgs) {
     ...flattenFilters(args.filters),
   };
 
-  const result = await listWithLinks("/releases", { query, limit });
+  const result = await listWithLinks("/releases", { query, limit, cursor: args.cursor });
   return {
     endpoint: "/releases",
     ...result,
@@ -753,6 +2329,7 @@ async function pbCompaniesList(rawArgs) {
     query,
     limit,
     pageSizeParam: "pageLimit",
+    cursor: args.cursor,
   });
 
   return {
@@ -797,7 +2374,11 @@ async function pbFeatureStatuses(rawArgs) {
   const args = toObject(rawArgs);
   const limit = normalizeLimit(args.limit);
 
-  const result = await listWithLinks("/feature-statuses", { limit });
+  const result = await listWithCache("/feature-statuses", {
+    limit,
+    refresh: args.refresh === true,
+    cursor: args.cursor,
+  });
 
   return {
     endpoint: "/feature-statuses",
@@ -809,7 +2390,11 @@ async function pbComponentsList(rawArgs) {
   const args = toObject(rawArgs);
   const limit = normalizeLimit(args.limit);
 
-  const result = await listWithLinks("/components", { limit });
+  const result = await listWithCache("/components", {
+    limit,
+    refresh: args.refresh === true,
+    cursor: args.cursor,
+  });
 
   return {
     endpoint: "/components",
@@ -817,6 +2402,117 @@ async function pbComponentsList(rawArgs) {
   };
 }
 
+function getHierarchyParent(entity) {
+  const parent = toObject(entity?.parent);
+  if (parent.feature?.id) return { type: "feature", id: parent.feature.id };
+  if (parent.component?.id) return { type: "component", id: parent.component.id };
+  if (parent.product?.id) return { type: "product", id: parent.product.id };
+  return undefined;
+}
+
+function renderTreeOutline(nodes, depth = 0, lines = []) {
+  for (const node of nodes) {
+    const counts = [
+      node.counts.components ? `${node.counts.components} components` : null,
+      node.counts.features ? `${node.counts.features} features` : null,
+      node.counts.subfeatures ? `${node.counts.subfeatures} subfeatures` : null,
+    ].filter(Boolean);
+    const details = [node.status, ...counts].filter(Boolean).join(", ");
+    lines.push(
+      `${"  ".repeat(depth)}- [${node.type}] ${node.name ?? "(unnamed)"} (${node.id})${
+        details ? ` - ${details}` : ""
+      }`,
+    );
+    renderTreeOutline(node.children ?? [], depth + 1, lines);
+  }
+  return lines;
+}
+
+async function pbFeatureTree(rawArgs) {
+  const args = toObject(rawArgs);
+  const limit = normalizeLimit(args.limit, 1000);
+  const maxDepth = toOptionalNumber(args.depth, "depth");
+  const format = args.format ?? "json";
+  if (format !== "json" && format !== "outline") {
+    throw new ProductboardApiError('Invalid format. Use "json" or "outline".', { status: 400 });
+  }
+  if (args.product_id && args.component_id) {
+    throw new ProductboardApiError("Provide only one root: product_id or component_id.", {
+      status: 400,
+    });
+  }
+
+  const products = await listWithCache("/products", { limit: 1000 });
+  const components = await listWithCache("/components", { limit: 1000 });
+  const features = await listWithLinks("/features", { limit });
+
+  const nodes = new Map();
+  const addNodes = (items, typeOf) => {
+    for (const item of items) {
+      if (!item?.id) continue;
+      const type = typeOf(item);
+      nodes.set(`${type === "subfeature" ? "feature" : type}:${item.id}`, {
+        id: item.id,
+        type,
+        name: item.name,
+        ...(item.status?.name ? { status: item.status.name } : {}),
+        counts: { components: 0, features: 0, subfeatures: 0 },
+        children: [],
+        parent: getHierarchyParent(item),
+      });
+    }
+  };
+  addNodes(products.items, () => "product");
+  addNodes(components.items, () => "component");
+  addNodes(features.items, (item) => (item.type === "subfeature" ? "subfeature" : "feature"));
+
+  // Entities whose parent was not fetched (e.g. beyond the feature limit) become roots.
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(`${node.parent.type}:${node.parent.id}`);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const countKeys = { component: "components", feature: "features", subfeature: "subfeatures" };
+  const finalize = (node, depth) => {
+    for (const child of node.children) {
+      finalize(child, depth + 1);
+      node.counts[countKeys[child.type]] += 1;
+      for (const key of Object.values(countKeys)) node.counts[key] += child.counts[key];
+    }
+    delete node.parent;
+    if (maxDepth !== undefined && depth >= maxDepth) {
+      delete node.children;
+    }
+  };
+
+  let tree = roots;
+  if (args.product_id || args.component_id) {
+    const rootKey = args.product_id ? `product:${args.product_id}` : `component:${args.component_id}`;
+    const root = nodes.get(rootKey);
+    if (!root) {
+      throw new ProductboardApiError(`No ${rootKey.replace(":", " ")} in this workspace.`, {
+        status: 404,
+        hint: `Call ${args.product_id ? "pb_products_list" : "pb_components_list"} to find a valid ID.`,
+      });
+    }
+    tree = [root];
+  }
+  for (const node of tree) finalize(node, 0);
+
+  const result = {
+    ...(args.product_id ? { root: { type: "product", id: args.product_id } } : {}),
+    ...(args.component_id ? { root: { type: "component", id: args.component_id } } : {}),
+    ...(maxDepth !== undefined ? { depth: maxDepth } : {}),
+    truncated: Boolean(products.has_more || components.has_more || features.has_more),
+  };
+
+  return format === "outline"
+    ? { ...result, outline: renderTreeOutline(tree) }
+    : { ...result, nodes: tree };
+}
+
 async function pbNoteGet(rawArgs) {
   const args = toObject(rawArgs);
   if (!args.id) {
@@ -893,7 +2589,7 @@ async function pbObjectivesList(rawArgs) {
     ...flattenFilters(args.filters),
   };
 
-  const result = await listWithLinks("/objectives", { query, limit });
+  const result = await listWithLinks("/objectives", { query, limit, cursor: args.cursor });
 
   return {
     endpoint: "/objectives",
@@ -999,7 +2695,7 @@ async function pbKeyResultsList(rawArgs) {
     ...flattenFilters(args.filters),
   };
 
-  const result = await listWithLinks("/key-results", { query, limit });
+  const result = await listWithLinks("/key-results", { query, limit, cursor: args.cursor });
 
   return {
     endpoint: "/key-results",
@@ -1115,7 +2811,7 @@ async function pbInitiativesList(rawArgs) {
     ...flattenFilters(args.filters),
   };
 
-  const result = await listWithLinks("/initiatives", { query, limit });
+  const result = await listWithLinks("/initiatives", { query, limit, cursor: args.cursor });
 
   return {
     endpoint: "/initiatives",
@@ -1221,12 +2917,13 @@ async function pbReleaseCreate(rawArgs) {
     endDate: args.end_date ?? args.endDate,
     granularity: args.granularity,
   });
+  const state = normalizeReleaseState(args.state);
 
   const data = {
     name: args.name,
     description: args.description,
     releaseGroup: { id: releaseGroupId },
-    ...(args.state ? { state: args.state } : {}),
+    ...(state ? { state } : {}),
     ...(timeframe ? { timeframe } : {}),
   };
 
@@ -1251,13 +2948,14 @@ async function pbReleaseUpdate(rawArgs) {
     endDate: args.end_date ?? args.endDate,
     granularity: args.granularity,
   });
+  const state = normalizeReleaseState(args.state);
 
   const data = {
     ...(args.name !== undefined ? { name: args.name } : {}),
     ...(args.description !== undefined ? { description: args.description } : {}),
     ...(args.archived !== undefined ? { archived: Boolean(args.archived) } : {}),
     ...(releaseGroupId ? { releaseGroup: { id: releaseGroupId } } : {}),
-    ...(args.state ? { state: args.state } : {}),
+    ...(state ? { state } : {}),
     ...(timeframe ? { timeframe } : {}),
   };
 
@@ -1276,7 +2974,7 @@ async function pbReleaseGroupsList(rawArgs) {
   const args = toObject(rawArgs);
   const limit = normalizeLimit(args.limit);
 
-  const result = await listWithLinks("/release-groups", { limit });
+  const result = await listWithLinks("/release-groups", { limit, cursor: args.cursor });
 
   return {
     endpoint: "/release-groups",
@@ -1300,7 +2998,11 @@ async function pbFeatureReleaseList(rawArgs) {
     ...flattenFilters(args.filters),
   };
 
-  const result = await listWithLinks("/feature-release-assignments", { query, limit });
+  const result = await listWithLinks("/feature-release-assignments", {
+    query,
+    limit,
+    cursor: args.cursor,
+  });
 
   return {
     endpoint: "/feature-release-assignments",
@@ -1321,7 +3023,7 @@ async function pbFeatureReleaseAssign(rawArgs) {
   }
 
   if (!releaseId) {
-    throw new ProductboardApiError("Missing required parameter: release_id", {
+    throw new ProductboardApiError("Missing required parameter: release_id (or release_name)", {
       status: 400,
     });
   }
@@ -1363,7 +3065,7 @@ async function pbFeatureObjectives(rawArgs) {
 
   const result = await listWithLinks(
     `/features/${encodeURIComponent(args.id)}/links/objectives`,
-    { limit },
+    { limit, cursor: args.cursor },
   );
 
   return {
@@ -1434,7 +3136,11 @@ async function pbUsersList(rawArgs) {
   const args = toObject(rawArgs);
   const limit = normalizeLimit(args.limit);
 
-  const result = await listWithLinks("/users", { limit });
+  const result = await listWithCache("/users", {
+    limit,
+    refresh: args.refresh === true,
+    cursor: args.cursor,
+  });
 
   return {
     endpoint: "/users",
@@ -1471,9 +3177,11 @@ async function pbCustomFieldsList(rawArgs) {
     );
   }
 
-  const result = await listWithLinks("/hierarchy-entities/custom-fields", {
+  const result = await listWithCache("/hierarchy-entities/custom-fields", {
     query: { type: types.join(",") },
     limit,
+    refresh: args.refresh === true,
+    cursor: args.cursor,
   });
 
   return {
@@ -1519,6 +3227,231 @@ async function pbCustomFieldValueGet(rawArgs) {
   return payload?.data ?? null;
 }
 
+async function pbWorkspacesList() {
+  return {
+    default: defaultProfileName,
+    workspaces: [...workspaceProfiles.values()].map((profile) => ({
+      name: profile.name,
+      base_url: profile.baseUrl.origin,
+      default: profile.name === defaultProfileName,
+      has_token: Boolean(profile.token),
+      source: profile.source,
+    })),
+  };
+}
+
+function toOptionalTimestamp(value, fieldName) {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new ProductboardApiError(`Invalid ISO 8601 date for ${fieldName}.`, { status: 400 });
+  }
+
+  return time;
+}
+
+async function pbAuditLogQuery(rawArgs) {
+  const args = toObject(rawArgs);
+  const limit = normalizeLimit(args.limit);
+  const from = toOptionalTimestamp(args.from, "from");
+  const to = toOptionalTimestamp(args.to, "to");
+
+  const entries = (await readAuditEntries()).filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    if (args.tool && entry.tool !== args.tool) return false;
+    if (args.entity_id && entry.entity_id !== args.entity_id) return false;
+    if (args.audit_workspace && entry.workspace !== normalizeProfileName(args.audit_workspace)) {
+      return false;
+    }
+    if (from !== undefined && !(time >= from)) return false;
+    if (to !== undefined && !(time <= to)) return false;
+    return true;
+  });
+
+  // Most recent first.
+  const items = entries.reverse().slice(0, limit);
+
+  return {
+    file: getAuditLogPath(),
+    items,
+    count: items.length,
+    has_more: entries.length > items.length,
+  };
+}
+
+function summarizeUndoEntry(entry) {
+  return {
+    entry_id: entry.id,
+    timestamp: entry.timestamp,
+    tool: entry.tool,
+    method: entry.method,
+    path: entry.path,
+    entity_id: entry.entity_id,
+    ...(entry.fields ? { fields: entry.fields } : {}),
+    undone_at: entry.undone_at,
+  };
+}
+
+async function pbUndo(rawArgs) {
+  const args = toObject(rawArgs);
+  const workspace = getActiveProfile().name;
+  const context = callContext.getStore();
+
+  const journalPath = getUndoJournalPath();
+  if (!journalPath) {
+    throw new ProductboardApiError("Undo journal is disabled (PRODUCTBOARD_UNDO_JOURNAL=off).", {
+      status: 400,
+    });
+  }
+
+  const isPending = (entry) => entry.workspace === workspace && !entry.undone_at;
+
+  if (args.list) {
+    await undoJournalQueue;
+    const pending = (await readUndoJournal(journalPath)).entries.filter(isPending);
+    const items = pending.slice(-normalizeLimit(args.limit, 20)).reverse().map(summarizeUndoEntry);
+    return { workspace, items, count: items.length };
+  }
+
+  // Select, revert and mark entries inside the journal queue, so concurrent pb_undo calls
+  // cannot pick up the same entry twice. Dry runs leave the journal file untouched.
+  const revertPending = async (journal) => {
+    const pending = journal.entries.filter(isPending);
+
+    let targets;
+    if (args.entry_id) {
+      const entry = pending.find((candidate) => candidate.id === args.entry_id);
+      if (!entry) {
+        throw new ProductboardApiError(
+          `No undoable journal entry ${args.entry_id} in workspace "${workspace}".`,
+          { status: 404, hint: "Call pb_undo with list: true to see undoable entries." },
+        );
+      }
+      targets = [entry];
+    } else {
+      const count = Math.min(normalizeLimit(args.count, 1), 20);
+      targets = pending.slice(-count).reverse();
+    }
+
+    if (targets.length === 0) {
+      throw new ProductboardApiError(`Nothing to undo in workspace "${workspace}".`, {
+        status: 404,
+        hint: "No further changes are recorded in the undo journal; there is nothing to retry.",
+      });
+    }
+
+    const undone = [];
+    for (const entry of targets) {
+      let result;
+      try {
+        result = await revertUndoEntry(entry);
+      } catch (error) {
+        return {
+          undone,
+          failed: {
+            ...summarizeUndoEntry(entry),
+            error: error instanceof Error ? error.message : String(error),
+          },
+        };
+      }
+
+      if (!context?.dryRun) {
+        entry.undone_at = new Date().toISOString();
+
+        // Older changes to a recreated entity now apply to its new ID.
+        if (result.original_entity_id && result.entity_id) {
+          for (const other of journal.entries) {
+            if (
+              other.collection === entry.collection &&
+              other.entity_id === result.original_entity_id
+            ) {
+              other.entity_id = result.entity_id;
+              other.path = `/${entry.collection}/${encodeURIComponent(result.entity_id)}`;
+            }
+          }
+        }
+      }
+      undone.push({ ...summarizeUndoEntry(entry), ...result });
+    }
+
+    return { undone, count: undone.length };
+  };
+
+  return updateUndoJournal(revertPending, { write: !context?.dryRun });
+}
+
+// Output schemas. Fields are not required because `fields` projection may drop them.
+function entityOutputSchema(entity) {
+  return {
+    type: "object",
+    description: `The ${entity} as returned by the Productboard API.`,
+    properties: {
+      id: { type: "string" },
+    },
+    additionalProperties: true,
+  };
+}
+
+function listOutputSchema(entity, { nextLink = true, extraProperties = {} } = {}) {
+  return {
+    type: "object",
+    properties: {
+      endpoint: { type: "string", description: "API path that was listed." },
+      ...extraProperties,
+      items: {
+        type: "array",
+        description: `${entity} objects as returned by the Productboard API.`,
+        items: { type: "object" },
+      },
+      count: { type: "integer", description: "Number of items returned." },
+      has_more: { type: "boolean", description: "Whether more items exist beyond the limit." },
+      ...(nextLink
+        ? { next: { type: ["string", "null"], description: "Link to the next API page." } }
+        : {}),
+      next_cursor: {
+        type: ["string", "null"],
+        description: "Pass as cursor to continue exactly where this call stopped.",
+      },
+      cancelled: { type: "boolean", description: "Set when the call was cancelled mid-way." },
+      cancel_reason: { type: "string" },
+    },
+    required: ["endpoint", "items", "count", "has_more"],
+  };
+}
+
+const WRITE_REFERENCE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "null"] },
+    links: { type: ["object", "null"] },
+  },
+};
+
+function linkOutputSchema(sourceKey, targetKey) {
+  return {
+    type: "object",
+    properties: {
+      [sourceKey]: { type: "string" },
+      [targetKey]: { type: "string" },
+      linked: { type: "boolean" },
+    },
+  };
+}
+
+const UNDO_ENTRY_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    entry_id: { type: "string" },
+    timestamp: { type: "string" },
+    tool: { type: "string" },
+    method: { type: "string" },
+    path: { type: "string" },
+    entity_id: { type: ["string", "null"] },
+    fields: { type: "array", items: { type: "string" } },
+    undone_at: { type: ["string", "null"] },
+  },
+};
 
 const tools = [
   {
@@ -1548,6 +3481,62 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Feature"),
+  },
+  {
+    name: "pb_feature_tree",
+    description:
+      "Show the product > component > feature > subfeature hierarchy with status and descendant counts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        product_id: { type: "string", description: "Only the subtree of this product." },
+        component_id: { type: "string", description: "Only the subtree of this component." },
+        depth: {
+          type: "integer",
+          description: "Levels below the root(s) to include; counts still cover the whole subtree.",
+          minimum: 0,
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of features to load (default 1000).",
+          minimum: 1,
+          maximum: 1000,
+        },
+        format: {
+          type: "string",
+          enum: ["json", "outline"],
+          description: "Nested JSON nodes (default) or an indented text outline.",
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        root: {
+          type: "object",
+          properties: { type: { type: "string" }, id: { type: "string" } },
+        },
+        depth: { type: "integer" },
+        truncated: {
+          type: "boolean",
+          description: "Whether products, components or features were cut off by the limit.",
+        },
+        nodes: {
+          type: "array",
+          description:
+            "Root nodes: { id, type, name, status?, counts: { components, features, subfeatures }, children? }.",
+          items: { type: "object" },
+        },
+        outline: {
+          type: "array",
+          description: "Outline lines, indented two spaces per level.",
+          items: { type: "string" },
+        },
+      },
+      required: ["truncated"],
+    },
   },
   {
     name: "pb_feature_get",
@@ -1560,6 +3549,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: entityOutputSchema("feature"),
   },
   {
     name: "pb_feature_create",
@@ -1604,6 +3594,7 @@ const tools = [
       required: ["name", "description"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("created feature"),
   },
   {
     name: "pb_feature_update",
@@ -1648,6 +3639,7 @@ const tools = [
       required: ["id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("updated feature"),
   },
   {
     name: "pb_feature_delete",
@@ -1660,6 +3652,13 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        deleted: { type: "boolean" },
+      },
+    },
   },
   {
     name: "pb_feature_statuses",
@@ -1673,9 +3672,14 @@ const tools = [
           minimum: 1,
           maximum: 1000,
         },
+        refresh: {
+          type: "boolean",
+          description: "Bypass the reference-data cache and fetch fresh results.",
+        },
       },
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("Feature status"),
   },
   {
     name: "pb_components_list",
@@ -1689,9 +3693,14 @@ const tools = [
           minimum: 1,
           maximum: 1000,
         },
+        refresh: {
+          type: "boolean",
+          description: "Bypass the reference-data cache and fetch fresh results.",
+        },
       },
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("Component"),
   },
   {
     name: "pb_notes_list",
@@ -1727,6 +3736,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Note", { nextLink: false }),
   },
   {
     name: "pb_note_get",
@@ -1739,6 +3749,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: entityOutputSchema("note"),
   },
   {
     name: "pb_note_create",
@@ -1757,6 +3768,7 @@ const tools = [
       required: ["title", "content"],
       additionalProperties: true,
     },
+    outputSchema: WRITE_REFERENCE_OUTPUT_SCHEMA,
   },
   {
     name: "pb_note_update",
@@ -1775,6 +3787,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: WRITE_REFERENCE_OUTPUT_SCHEMA,
   },
   {
     name: "pb_note_link",
@@ -1789,6 +3802,7 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: linkOutputSchema("note_id", "entity_id"),
   },
   {
     name: "pb_products_list",
@@ -1802,9 +3816,14 @@ const tools = [
           minimum: 1,
           maximum: 1000,
         },
+        refresh: {
+          type: "boolean",
+          description: "Bypass the reference-data cache and fetch fresh results.",
+        },
       },
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("Product"),
   },
   {
     name: "pb_objectives_list",
@@ -1831,6 +3850,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Objective"),
   },
   {
     name: "pb_objective_get",
@@ -1843,6 +3863,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: entityOutputSchema("objective"),
   },
   {
     name: "pb_objective_create",
@@ -1894,6 +3915,7 @@ const tools = [
       required: ["name"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("created objective"),
   },
   {
     name: "pb_objective_update",
@@ -1947,6 +3969,7 @@ const tools = [
       required: ["id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("updated objective"),
   },
   {
     name: "pb_key_results_list",
@@ -1974,6 +3997,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Key result"),
   },
   {
     name: "pb_key_result_get",
@@ -1986,6 +4010,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: entityOutputSchema("key result"),
   },
   {
     name: "pb_key_result_create",
@@ -2053,6 +4078,7 @@ const tools = [
       required: ["name"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("created key result"),
   },
   {
     name: "pb_key_result_update",
@@ -2122,6 +4148,7 @@ const tools = [
       required: ["id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("updated key result"),
   },
   {
     name: "pb_initiatives_list",
@@ -2147,6 +4174,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Initiative"),
   },
   {
     name: "pb_initiative_get",
@@ -2159,6 +4187,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: entityOutputSchema("initiative"),
   },
   {
     name: "pb_initiative_create",
@@ -2209,6 +4238,7 @@ const tools = [
       required: ["name"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("created initiative"),
   },
   {
     name: "pb_initiative_update",
@@ -2261,6 +4291,7 @@ const tools = [
       required: ["id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("updated initiative"),
   },
   {
     name: "pb_releases_list",
@@ -2283,6 +4314,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Release"),
   },
   {
     name: "pb_release_get",
@@ -2295,6 +4327,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: entityOutputSchema("release"),
   },
   {
     name: "pb_release_create",
@@ -2308,7 +4341,7 @@ const tools = [
         state: {
           type: "string",
           description: "Release state.",
-          enum: ["upcoming", "in-progress", "completed"],
+          enum: RELEASE_STATES,
         },
         timeframe: {
           type: "object",
@@ -2334,6 +4367,7 @@ const tools = [
       required: ["name", "description", "release_group_id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("created release"),
   },
   {
     name: "pb_release_update",
@@ -2349,7 +4383,7 @@ const tools = [
         state: {
           type: "string",
           description: "Release state.",
-          enum: ["upcoming", "in-progress", "completed"],
+          enum: RELEASE_STATES,
         },
         timeframe: {
           type: "object",
@@ -2375,6 +4409,7 @@ const tools = [
       required: ["id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("updated release"),
   },
   {
     name: "pb_release_groups_list",
@@ -2391,6 +4426,7 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("Release group"),
   },
   {
     name: "pb_feature_release_list",
@@ -2409,7 +4445,7 @@ const tools = [
         release_state: {
           type: "string",
           description: "Filter by release state.",
-          enum: ["upcoming", "in-progress", "completed"],
+          enum: RELEASE_STATES,
         },
         end_date_from: { type: "string", description: "Filter release endDate from." },
         end_date_to: { type: "string", description: "Filter release endDate to." },
@@ -2421,6 +4457,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Feature-release assignment"),
   },
   {
     name: "pb_feature_release_assign",
@@ -2429,12 +4466,13 @@ const tools = [
       type: "object",
       properties: {
         feature_id: { type: "string", description: "Feature ID." },
-        release_id: { type: "string", description: "Release ID." },
+        release_id: { type: "string", description: "Release ID (or use release_name)." },
         assigned: { type: "boolean", description: "True to assign, false to unassign." },
       },
-      required: ["feature_id", "release_id", "assigned"],
+      required: ["feature_id", "assigned"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("feature-release assignment"),
   },
   {
     name: "pb_feature_objectives",
@@ -2453,6 +4491,7 @@ const tools = [
       required: ["id"],
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("Linked objective"),
   },
   {
     name: "pb_feature_link_objective",
@@ -2466,6 +4505,7 @@ const tools = [
       required: ["id", "objective_id"],
       additionalProperties: true,
     },
+    outputSchema: linkOutputSchema("feature_id", "objective_id"),
   },
   {
     name: "pb_feature_link_initiative",
@@ -2479,6 +4519,7 @@ const tools = [
       required: ["id", "initiative_id"],
       additionalProperties: true,
     },
+    outputSchema: linkOutputSchema("feature_id", "initiative_id"),
   },
   {
     name: "pb_companies_list",
@@ -2504,6 +4545,7 @@ const tools = [
       },
       additionalProperties: true,
     },
+    outputSchema: listOutputSchema("Company"),
   },
   {
     name: "pb_users_list",
@@ -2517,9 +4559,14 @@ const tools = [
           minimum: 1,
           maximum: 1000,
         },
+        refresh: {
+          type: "boolean",
+          description: "Bypass the reference-data cache and fetch fresh results.",
+        },
       },
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("User"),
   },
   {
     name: "pb_custom_fields_list",
@@ -2540,10 +4587,19 @@ const tools = [
           minimum: 1,
           maximum: 1000,
         },
+        refresh: {
+          type: "boolean",
+          description: "Bypass the reference-data cache and fetch fresh results.",
+        },
       },
       required: ["type"],
       additionalProperties: false,
     },
+    outputSchema: listOutputSchema("Custom field", {
+      extraProperties: {
+        type: { type: "array", items: { type: "string" }, description: "Field types listed." },
+      },
+    }),
   },
   {
     name: "pb_custom_field_value_get",
@@ -2557,6 +4613,7 @@ const tools = [
       required: ["custom_field_id", "hierarchy_entity_id"],
       additionalProperties: true,
     },
+    outputSchema: entityOutputSchema("custom field value"),
   },
   {
     name: "pb_user_current",
@@ -2566,12 +4623,337 @@ const tools = [
       properties: {},
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      description:
+        "The current user, or a connectivity summary when GET /user is unavailable.",
+      properties: {
+        warning: { type: "string" },
+        users_count: { type: "integer" },
+        first_user: { type: ["object", "null"] },
+      },
+      additionalProperties: true,
+    },
+  },
+  {
+    name: "pb_audit_log_query",
+    description: "Query the local audit log of writes made through this connector, most recent first.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tool: { type: "string", description: "Only entries written by this tool, e.g. pb_feature_update." },
+        entity_id: { type: "string", description: "Only entries for this entity ID." },
+        audit_workspace: { type: "string", description: "Only entries made against this workspace." },
+        from: { type: "string", description: "Only entries at or after this time (ISO 8601)." },
+        to: { type: "string", description: "Only entries at or before this time (ISO 8601)." },
+        limit: {
+          type: "number",
+          description: "Maximum number of entries to return.",
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        file: { type: "string", description: "Audit log path." },
+        items: {
+          type: "array",
+          description: "Audit entries, most recent first.",
+          items: { type: "object" },
+        },
+        count: { type: "integer" },
+        has_more: { type: "boolean" },
+      },
+      required: ["file", "items", "count", "has_more"],
+    },
+  },
+  {
+    name: "pb_undo",
+    description:
+      "Revert recent updates and deletes made through this connector using the local undo journal. Reverts the last change by default.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        count: {
+          type: "number",
+          description: "Number of most recent changes to revert.",
+          minimum: 1,
+          maximum: 20,
+        },
+        entry_id: { type: "string", description: "Revert one specific journal entry." },
+        list: {
+          type: "boolean",
+          description: "List undoable journal entries instead of reverting anything.",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of entries to list.",
+          minimum: 1,
+          maximum: 200,
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      description: "Undoable entries (list: true), or the changes that were reverted.",
+      properties: {
+        workspace: { type: "string" },
+        items: { type: "array", items: UNDO_ENTRY_OUTPUT_SCHEMA },
+        undone: { type: "array", items: UNDO_ENTRY_OUTPUT_SCHEMA },
+        failed: UNDO_ENTRY_OUTPUT_SCHEMA,
+        count: { type: "integer" },
+      },
+    },
+  },
+  {
+    name: "pb_workspaces_list",
+    description: "List configured Productboard workspace profiles and the default workspace.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        default: { type: "string" },
+        workspaces: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              base_url: { type: "string" },
+              default: { type: "boolean" },
+              has_token: { type: "boolean" },
+              source: { type: "string" },
+            },
+            required: ["name", "base_url", "default", "has_token", "source"],
+          },
+        },
+      },
+      required: ["default", "workspaces"],
+    },
   },
 ];
 
+const MUTATING_TOOLS = new Set([
+  "pb_feature_create",
+  "pb_feature_update",
+  "pb_feature_delete",
+  "pb_note_create",
+  "pb_note_update",
+  "pb_note_link",
+  "pb_objective_create",
+  "pb_objective_update",
+  "pb_key_result_create",
+  "pb_key_result_update",
+  "pb_initiative_create",
+  "pb_initiative_update",
+  "pb_release_create",
+  "pb_release_update",
+  "pb_feature_release_assign",
+  "pb_feature_link_objective",
+  "pb_feature_link_initiative",
+  "pb_undo",
+]);
+
+// pb_undo can recreate deleted entities and overwrite fields with older values.
+const DESTRUCTIVE_TOOLS = new Set(["pb_feature_delete", "pb_undo"]);
+
+// Calls to mutating tools that only read, such as listing the undo journal.
+const READ_ONLY_CALLS = {
+  pb_undo: (args) => args.list === true,
+};
+
+function isMutatingCall(toolName, args) {
+  return MUTATING_TOOLS.has(toolName) && !READ_ONLY_CALLS[toolName]?.(toObject(args));
+}
+
+const commonToolProperties = {
+  workspace: {
+    type: "string",
+    description: "Workspace profile to run against (see pb_workspaces_list). Defaults to the default workspace.",
+  },
+};
+
+const DRY_RUN_PROPERTY = {
+  type: "boolean",
+  description:
+    "Validate the input and return the request(s) that would be sent, without changing anything.",
+};
+
+// List and get tools whose results can be trimmed with `fields` and `compact` and rendered with `format`.
+const PROJECTABLE_TOOLS = new Set([
+  "pb_features_list",
+  "pb_feature_get",
+  "pb_feature_statuses",
+  "pb_components_list",
+  "pb_notes_list",
+  "pb_note_get",
+  "pb_products_list",
+  "pb_objectives_list",
+  "pb_objective_get",
+  "pb_key_results_list",
+  "pb_key_result_get",
+  "pb_initiatives_list",
+  "pb_initiative_get",
+  "pb_releases_list",
+  "pb_release_get",
+  "pb_release_groups_list",
+  "pb_feature_release_list",
+  "pb_feature_objectives",
+  "pb_companies_list",
+  "pb_users_list",
+  "pb_custom_fields_list",
+  "pb_custom_field_value_get",
+  "pb_audit_log_query",
+]);
+
+// List tools that page through the API and accept `cursor`.
+const PAGINATED_TOOLS = new Set([
+  "pb_features_list",
+  "pb_feature_statuses",
+  "pb_components_list",
+  "pb_notes_list",
+  "pb_products_list",
+  "pb_objectives_list",
+  "pb_key_results_list",
+  "pb_initiatives_list",
+  "pb_releases_list",
+  "pb_release_groups_list",
+  "pb_feature_release_list",
+  "pb_feature_objectives",
+  "pb_companies_list",
+  "pb_users_list",
+  "pb_custom_fields_list",
+]);
+
+const CURSOR_PROPERTY = {
+  type: "string",
+  description:
+    "next_cursor from a previous call with the same filters; continues exactly where that call stopped.",
+};
+
+const PROJECTION_PROPERTIES = {
+  fields: {
+    anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+    description:
+      "Only return these fields of each entity, as comma-separated dotted paths (e.g. id,name,status.name,owner.email).",
+  },
+  compact: {
+    type: "boolean",
+    description: "Drop links and other hypermedia fields and return unindented JSON.",
+  },
+  format: {
+    type: "string",
+    enum: OUTPUT_FORMATS,
+    description:
+      "Result format (default json). markdown and csv render a table with the `fields` as columns, or sensible defaults for the entity.",
+  },
+};
+
+// Name arguments accepted in place of IDs, resolved case-insensitively against the live
+// workspace before the handler runs. Keyed by tool; each name maps to the argument it fills.
+const NAME_REFERENCE_ARGS = {
+  pb_features_list: {
+    product_name: "product_id",
+    component_name: "parent_id",
+    parent_feature_name: "parent_id",
+    owner_name: "owner_email",
+  },
+  pb_feature_tree: { product_name: "product_id", component_name: "component_id" },
+  pb_feature_create: {
+    product_name: "product_id",
+    component_name: "component_id",
+    parent_feature_name: "parent_feature_id",
+    owner_name: "owner_email",
+  },
+  pb_feature_update: {
+    product_name: "product_id",
+    component_name: "component_id",
+    parent_feature_name: "parent_feature_id",
+    owner_name: "owner_email",
+  },
+  pb_objectives_list: { owner_name: "owner_email" },
+  pb_objective_create: { owner_name: "owner_email" },
+  pb_objective_update: { owner_name: "owner_email" },
+  pb_key_results_list: { owner_name: "owner_email" },
+  pb_key_result_create: { owner_name: "owner_email" },
+  pb_key_result_update: { owner_name: "owner_email" },
+  pb_initiatives_list: { owner_name: "owner_email" },
+  pb_initiative_create: { owner_name: "owner_email" },
+  pb_initiative_update: { owner_name: "owner_email" },
+  pb_feature_release_list: { release_name: "release_id" },
+  pb_feature_release_assign: { release_name: "release_id" },
+};
+
+const NAME_PROPERTIES = {
+  product_name: {
+    type: "string",
+    description: "Product name (case-insensitive), instead of product_id.",
+  },
+  component_name: {
+    type: "string",
+    description: "Component name (case-insensitive), instead of its ID.",
+  },
+  parent_feature_name: {
+    type: "string",
+    description: "Parent feature name (case-insensitive), instead of its ID.",
+  },
+  release_name: {
+    type: "string",
+    description: "Release name (case-insensitive), instead of release_id.",
+  },
+  owner_name: {
+    type: "string",
+    description: "Owner display name or email (case-insensitive), instead of owner_email.",
+  },
+};
+
+// What a mutating tool returns instead of its usual result when called with dry_run.
+const DRY_RUN_OUTPUT_PROPERTIES = {
+  dry_run: { type: "boolean" },
+  tool: { type: "string" },
+  requests: {
+    type: "array",
+    description: "Write requests that would have been sent.",
+    items: { type: "object" },
+  },
+};
+
+for (const tool of tools) {
+  Object.assign(tool.inputSchema.properties, commonToolProperties);
+  if (MUTATING_TOOLS.has(tool.name)) {
+    tool.inputSchema.properties.dry_run = DRY_RUN_PROPERTY;
+    tool.outputSchema = {
+      ...tool.outputSchema,
+      properties: { ...tool.outputSchema.properties, ...DRY_RUN_OUTPUT_PROPERTIES },
+    };
+  }
+  if (PROJECTABLE_TOOLS.has(tool.name)) {
+    Object.assign(tool.inputSchema.properties, PROJECTION_PROPERTIES);
+  }
+  if (PAGINATED_TOOLS.has(tool.name)) {
+    tool.inputSchema.properties.cursor = CURSOR_PROPERTY;
+  }
+  for (const argument of Object.keys(NAME_REFERENCE_ARGS[tool.name] ?? {})) {
+    tool.inputSchema.properties[argument] = NAME_PROPERTIES[argument];
+  }
+  tool.annotations = {
+    readOnlyHint: !MUTATING_TOOLS.has(tool.name),
+    destructiveHint: DESTRUCTIVE_TOOLS.has(tool.name),
+  };
+}
+
 const toolHandlers = {
   pb_features_list: pbFeaturesList,
   pb_feature_get: pbFeatureGet,
+  pb_feature_tree: pbFeatureTree,
   pb_feature_create: pbFeatureCreate,
   pb_feature_update: pbFeatureUpdate,
   pb_feature_delete: pbFeatureDelete,
@@ -2610,45 +4992,1336 @@ const toolHandlers = {
   pb_custom_fields_list: pbCustomFieldsList,
   pb_custom_field_value_get: pbCustomFieldValueGet,
   pb_user_current: pbUserCurrent,
+  pb_workspaces_list: pbWorkspacesList,
+  pb_audit_log_query: pbAuditLogQuery,
+  pb_undo: pbUndo,
 };
 
-const server = new Server(
-  {
-    name: SERVER_NAME,
-    version: SERVER_VERSION,
+// Read-only mode and allow/deny lists, loaded at startup from env (or manifest user_config).
+let toolPolicy = { readOnly: false, allow: [], deny: [] };
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
+
+function loadToolPolicy() {
+  const policy = {
+    readOnly: readBooleanEnv("PRODUCTBOARD_READ_ONLY"),
+    allow: readListEnv("PRODUCTBOARD_TOOLS_ALLOW").map((pattern) => ({
+      pattern,
+      regex: globToRegExp(pattern),
+    })),
+    deny: readListEnv("PRODUCTBOARD_TOOLS_DENY").map((pattern) => ({
+      pattern,
+      regex: globToRegExp(pattern),
+    })),
+  };
+
+  for (const { pattern, regex } of [...policy.allow, ...policy.deny]) {
+    if (!tools.some((tool) => regex.test(tool.name))) {
+      logError(`Tool pattern "${pattern}" does not match any tool.`);
+    }
+  }
+
+  return policy;
+}
+
+// Returns why a tool is blocked, or undefined when it may be listed and called.
+// Without args, reports whether any call to the tool is allowed (for tools/list and friends).
+function getToolBlockReason(toolName, args) {
+  const mutating =
+    args === undefined
+      ? MUTATING_TOOLS.has(toolName) && !READ_ONLY_CALLS[toolName]
+      : isMutatingCall(toolName, args);
+  if (toolPolicy.readOnly && mutating) {
+    return "the server is running in read-only mode";
+  }
+
+  const denied = toolPolicy.deny.find(({ regex }) => regex.test(toolName));
+  if (denied) {
+    return `it matches the deny list entry "${denied.pattern}"`;
+  }
+
+  if (toolPolicy.allow.length > 0 && !toolPolicy.allow.some(({ regex }) => regex.test(toolName))) {
+    return "it is not on the allow list";
+  }
+
+  return undefined;
+}
+
+// Argument validation against each tool's inputSchema. Handlers also accept camelCase and
+// dotted spellings of declared properties (ownerEmail, product.id, product: { id }), so those
+// count as known.
+function toCanonicalArgName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/\./g, "_")
+    .toLowerCase();
+}
+
+function findAliasedProperty(name, value, properties) {
+  const canonical = toCanonicalArgName(name);
+  if (Object.hasOwn(properties, canonical)) return canonical;
+  if (value && typeof value === "object" && Object.hasOwn(properties, `${canonical}_id`)) {
+    return `${canonical}_id`;
+  }
+  return undefined;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestClosest(value, candidates) {
+  const needle = value.toLowerCase();
+  let best;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(needle, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(needle.length / 3)) ? best : undefined;
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+// Collects every problem with `value` into `errors` as { field, message, suggestion? }.
+function validateAgainstSchema(value, schema, field, errors) {
+  const alternatives = schema.oneOf ?? schema.anyOf;
+  if (alternatives) {
+    // When only one alternative has the right type, report its errors rather than a summary.
+    const sameType = alternatives.filter(
+      (alternative) => !alternative.type || matchesSchemaType(value, alternative.type),
+    );
+    if (sameType.length === 1) {
+      validateAgainstSchema(value, sameType[0], field, errors);
+      return;
+    }
+
+    const matches = alternatives.filter((alternative) => {
+      const nested = [];
+      validateAgainstSchema(value, alternative, field, nested);
+      return nested.length === 0;
+    });
+    if (matches.length === 0) {
+      const types = alternatives.map((alternative) => alternative.type).filter(Boolean);
+      errors.push({
+        field,
+        message: types.length ? `must be ${types.join(" or ")}` : "does not match the schema",
+      });
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesSchemaType(value, type))) {
+      errors.push({ field, message: `must be ${types.join(" or ")}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion =
+      typeof value === "string" ? suggestClosest(value, schema.enum.map(String)) : undefined;
+    errors.push({
+      field,
+      message: `must be one of ${schema.enum.join(", ")}`,
+      ...(suggestion ? { suggestion } : {}),
+    });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      validateAgainstSchema(item, schema.items, `${field}[${index}]`, errors),
+    );
+  }
+
+  if (matchesSchemaType(value, "object") && schema.properties) {
+    validateObjectArgs(value, schema, field, errors);
+  }
+}
+
+function validateObjectArgs(value, schema, prefix, errors) {
+  const properties = schema.properties;
+  const fieldName = (name) => (prefix ? `${prefix}.${name}` : name);
+  const present = new Set();
+
+  for (const [name, entry] of Object.entries(value)) {
+    if (Object.hasOwn(properties, name)) {
+      // Clients often send null for optional arguments they mean to leave out.
+      if (entry === null && !schema.required?.includes(name)) continue;
+      present.add(name);
+      validateAgainstSchema(entry, properties[name], fieldName(name), errors);
+      continue;
+    }
+
+    const aliased = findAliasedProperty(name, entry, properties);
+    if (aliased) {
+      present.add(aliased);
+      continue;
+    }
+
+    // additionalProperties: true lets unrelated extras through, but a near miss of a
+    // declared name is almost always a typo that the handler would silently ignore.
+    const suggestion = suggestClosest(name, Object.keys(properties));
+    if (schema.additionalProperties === false || suggestion) {
+      errors.push({
+        field: fieldName(name),
+        message: "unknown property",
+        ...(suggestion ? { suggestion } : {}),
+      });
+    }
+  }
+
+  for (const name of schema.required ?? []) {
+    if (!present.has(name)) {
+      errors.push({ field: fieldName(name), message: "is required" });
+    }
+  }
+}
+
+function validateToolArgs(tool, args) {
+  const errors = [];
+  validateObjectArgs(toObject(args), tool.inputSchema, "", errors);
+  if (errors.length === 0) return;
+
+  const summary = errors
+    .map(
+      ({ field, message, suggestion }) =>
+        `${field}: ${message}${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`,
+    )
+    .join("; ");
+  throw new ProductboardApiError(`Invalid arguments for ${tool.name}: ${summary}.`, {
+    status: 400,
+    details: { errors },
+  });
+}
+
+const NAME_RESOLVERS = {
+  product_name: { entity: "product", path: "/products", tool: "pb_products_list" },
+  component_name: { entity: "component", path: "/components", tool: "pb_components_list" },
+  parent_feature_name: {
+    entity: "feature",
+    path: "/features",
+    tool: "pb_features_list",
+    describe: (item) => ({
+      id: item.id,
+      name: item.name,
+      type: item.type,
+      parent: getHierarchyParent(item) ?? null,
+    }),
   },
-  {
-    capabilities: {
-      tools: {},
-    },
+  release_name: {
+    entity: "release",
+    path: "/releases",
+    tool: "pb_releases_list",
+    describe: (item) => ({ id: item.id, name: item.name, state: item.state }),
+  },
+  owner_name: {
+    entity: "user",
+    path: "/users",
+    tool: "pb_users_list",
+    namesOf: (item) => [item.name, item.email],
+    toValue: (item) => item.email,
+    describe: (item) => ({ name: item.name, email: item.email }),
   },
-);
+};
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools };
-});
+const MAX_NAME_CANDIDATES = 10;
+// Name lookups page through the whole collection, but stop after this many entities.
+const MAX_NAME_LOOKUP_ITEMS = 10_000;
+
+function normalizeNameInput(value) {
+  return String(value).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// The first 1000 entities come from the reference cache; later pages are always fetched.
+async function listForNameLookup(path) {
+  let page = await listWithCache(path, { limit: 1000 });
+  const items = [...page.items];
+  while (page.has_more && page.next_cursor && items.length < MAX_NAME_LOOKUP_ITEMS) {
+    page = await listWithLinks(path, { limit: 1000, cursor: page.next_cursor });
+    items.push(...page.items);
+  }
+  return { items, truncated: Boolean(page.has_more) };
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function resolveNameToValue(argument, name, target) {
+  const resolver = NAME_RESOLVERS[argument];
+  const namesOf = resolver.namesOf ?? ((item) => [item.name]);
+  const describe = resolver.describe ?? ((item) => ({ id: item.id, name: item.name }));
+  const { items, truncated } = await listForNameLookup(resolver.path);
+
+  const needle = normalizeNameInput(name);
+  const matches = items.filter((item) =>
+    namesOf(item).some((text) => typeof text === "string" && normalizeNameInput(text) === needle),
+  );
+  if (matches.length === 1) {
+    return (resolver.toValue ?? ((item) => item.id))(matches[0]);
+  }
+
+  if (matches.length > 1) {
+    throw new ProductboardApiError(
+      `${argument} "${name}" matches ${matches.length} ${resolver.entity}s.`,
+      {
+        status: 400,
+        code: "AMBIGUOUS_NAME",
+        hint: `Pass ${target} instead, taken from the intended entry in details.candidates.`,
+        details: {
+          argument,
+          name,
+          candidates: matches.slice(0, MAX_NAME_CANDIDATES).map(describe),
+          total_candidates: matches.length,
+        },
+      },
+    );
+  }
+
+  // Nothing matched exactly: offer similar names, or failing that whatever exists.
+  const ranked = items
+    .map((item) => {
+      const texts = namesOf(item).filter((text) => typeof text === "string");
+      const score = Math.max(0, ...texts.map((text) => scoreCompletion({ value: text }, name)));
+      return { item, score: score || (suggestClosest(String(name), texts) ? 1 : 0) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+  const candidates = ranked.length ? ranked.map(({ item }) => item) : items;
+  const details = {
+    argument,
+    name,
+    candidates: candidates.slice(0, MAX_NAME_CANDIDATES).map(describe),
+    total_candidates: candidates.length,
+  };
+
+  if (truncated) {
+    throw new ProductboardApiError(
+      `No ${resolver.entity} named "${name}" among the first ${items.length} ` +
+        `${resolver.entity}s; the workspace has more than the name lookup reads.`,
+      {
+        status: 400,
+        code: "NAME_LOOKUP_TRUNCATED",
+        hint: `Pass ${target} instead; find it with ${resolver.tool}.`,
+        details: { ...details, truncated: true },
+      },
+    );
+  }
+
+  throw new ProductboardApiError(`No ${resolver.entity} named "${name}" was found.`, {
+    status: 404,
+    code: "NAME_NOT_FOUND",
+    hint: `Pick a name from details.candidates, or list them with ${resolver.tool}.`,
+    details,
+  });
+}
+
+// Returns a copy of the arguments with every supported *_name swapped for the ID it names.
+async function resolveNamedReferences(toolName, rawArgs) {
+  const args = toObject(rawArgs);
+  const mapping = NAME_REFERENCE_ARGS[toolName];
+  if (!mapping) return args;
+
+  const isGiven = (name) => args[name] !== undefined && args[name] !== null;
+  for (const target of new Set(Object.values(mapping))) {
+    const given = [target, ...Object.keys(mapping).filter((name) => mapping[name] === target)]
+      .filter(isGiven);
+    if (given.length > 1) {
+      throw new ProductboardApiError(`Provide only one of ${given.join(", ")}.`, { status: 400 });
+    }
+  }
+
+  const resolved = { ...args };
+  for (const [argument, target] of Object.entries(mapping)) {
+    if (!isGiven(argument)) continue;
+    delete resolved[argument];
+    // An empty name clears the field, same as an empty owner_email on update.
+    resolved[target] =
+      args[argument] === "" ? "" : await resolveNameToValue(argument, args[argument], target);
+  }
+  return resolved;
+}
+
+function getToolTimeoutMs() {
+  return readNumberEnv("PRODUCTBOARD_TOOL_TIMEOUT_MS", DEFAULT_TOOL_TIMEOUT_MS, { min: 1 });
+}
+
+// Per-request state read by apiRequest, logEvent and reportProgress through callContext.
+function createCallContext({
+  toolName,
+  toolArgs = {},
+  profile,
+  signal,
+  dryRun = false,
+  session,
+  extra,
+}) {
+  return {
+    toolName,
+    toolArgs,
+    profile,
+    signal,
+    queueWaitMs: 0,
+    requestCount: 0,
+    cacheHits: 0,
+    dryRun,
+    plannedRequests: [],
+    session,
+    sendNotification: extra?.sendNotification,
+    progressToken: extra?._meta?.progressToken,
+    lastProgress: 0,
+  };
+}
+
+async function handleCallTool(request, extra, session) {
   const toolName = request?.params?.name;
   const toolArgs = request?.params?.arguments ?? {};
 
   const handler = toolHandlers[toolName];
   if (!handler) {
-    return asErrorResult(new ProductboardApiError(`Unknown tool: ${toolName}`, { status: 400 }));
+    return asErrorResult(
+      new ProductboardApiError(`Unknown tool: ${toolName}`, {
+        status: 400,
+        code: "UNKNOWN_TOOL",
+        hint: "List the available tools and call one of them by its exact name.",
+      }),
+    );
+  }
+
+  const blockReason = getToolBlockReason(toolName, toolArgs);
+  if (blockReason) {
+    return asErrorResult(
+      new ProductboardApiError(`Tool ${toolName} is disabled because ${blockReason}.`, {
+        status: 403,
+        code: "TOOL_DISABLED",
+        hint: "Use another tool, or ask the user to change the server's tool restrictions.",
+      }),
+    );
   }
 
+  let profile;
+  let dryRun = false;
+  let projection;
   try {
-    const result = await handler(toolArgs);
-    return asJsonResult(result);
+    validateToolArgs(tools.find((tool) => tool.name === toolName), toolArgs);
+    profile = getWorkspaceProfile(toolArgs.workspace);
+    if (PROJECTABLE_TOOLS.has(toolName)) {
+      projection = {
+        fields: parseFieldsInput(toolArgs.fields),
+        compact: toolArgs.compact !== undefined && toBooleanInput(toolArgs.compact, "compact"),
+        format: parseFormatInput(toolArgs.format),
+      };
+    }
+    if (isMutatingCall(toolName, toolArgs)) {
+      dryRun =
+        toolArgs.dry_run !== undefined
+          ? toBooleanInput(toolArgs.dry_run, "dry_run")
+          : readBooleanEnv("PRODUCTBOARD_DRY_RUN");
+    }
   } catch (error) {
-    logError(`Tool execution failed: ${toolName}`, error);
     return asErrorResult(error);
   }
-});
+
+  const toolTimeoutMs = getToolTimeoutMs();
+  const controller = new AbortController();
+  const onClientCancel = () => controller.abort(extra?.signal?.reason);
+  extra?.signal?.addEventListener("abort", onClientCancel, { once: true });
+  const timer = setTimeout(
+    () => controller.abort(new CancelledError(`Tool call exceeded ${toolTimeoutMs}ms.`)),
+    toolTimeoutMs,
+  );
+
+  const context = createCallContext({
+    toolName,
+    toolArgs,
+    profile,
+    signal: controller.signal,
+    dryRun,
+    session,
+    extra,
+  });
+
+  return callContext.run(context, async () => {
+    const startedAt = Date.now();
+    logEvent("info", `Calling ${toolName}.`, { event: "tool_start" });
+
+    let result;
+    try {
+      let data = await handler(await resolveNamedReferences(toolName, toolArgs));
+      if (context.dryRun) {
+        data = { dry_run: true, tool: toolName, requests: context.plannedRequests };
+      } else if (projection) {
+        data = shapeReadResult(data, projection);
+      }
+
+      if (projection?.format === "markdown" || projection?.format === "csv") {
+        result = asTableResult(toolName, data, projection);
+      } else {
+        result = asJsonResult(data, { compact: projection?.compact });
+      }
+      result.structuredContent = toStructuredContent(data);
+    } catch (error) {
+      logError(`Tool execution failed: ${toolName}`, error);
+      result = asErrorResult(error);
+    } finally {
+      clearTimeout(timer);
+      extra?.signal?.removeEventListener("abort", onClientCancel);
+    }
+
+    logEvent(result.isError ? "error" : "info", `Finished ${toolName}.`, {
+      event: "tool_finish",
+      ok: !result.isError,
+      duration_ms: Date.now() - startedAt,
+      api_requests: context.requestCount,
+      queue_wait_ms: context.queueWaitMs,
+      cache_hits: context.cacheHits,
+    });
+
+    return {
+      ...result,
+      _meta: {
+        workspace: profile.name,
+        api_requests: context.requestCount,
+        queue_wait_ms: context.queueWaitMs,
+        cache_hits: context.cacheHits,
+      },
+    };
+  });
+}
+
+// MCP resources: productboard://<collection>/<id>, optionally ?workspace=<name>. Each
+// collection follows the tool policy of the tool that reads it.
+const RESOURCE_COLLECTIONS = {
+  features: { label: "Feature", tool: "pb_feature_get" },
+  notes: { label: "Note", tool: "pb_note_get" },
+  releases: { label: "Release", tool: "pb_release_get" },
+  objectives: { label: "Objective", tool: "pb_objective_get" },
+  products: { label: "Product", tool: "pb_products_list", listable: true },
+  components: { label: "Component", tool: "pb_components_list", listable: true },
+  "release-groups": { label: "Release group", tool: "pb_release_groups_list", listable: true },
+};
+
+const RESOURCE_MIME_TYPE = "application/json";
+
+function toResourceUri(collection, id) {
+  return `productboard://${collection}/${encodeURIComponent(id)}`;
+}
+
+function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    url = undefined;
+  }
+
+  const segments = url?.pathname.split("/").filter(Boolean) ?? [];
+  const collection = url?.hostname;
+  if (
+    url?.protocol !== "productboard:" ||
+    !RESOURCE_COLLECTIONS[collection] ||
+    segments.length !== 1
+  ) {
+    const collections = Object.keys(RESOURCE_COLLECTIONS).join(", ");
+    throw new ProductboardApiError(`Unknown resource URI: ${uri}`, {
+      status: 404,
+      hint: `Use productboard://<collection>/<id> with one of: ${collections}.`,
+    });
+  }
+
+  return {
+    collection,
+    id: decodeURIComponent(segments[0]),
+    workspace: url.searchParams.get("workspace") ?? undefined,
+  };
+}
+
+function toMcpError(error) {
+  if (!(error instanceof ProductboardApiError)) {
+    const message = error instanceof Error ? error.message : String(error);
+    return new McpError(ErrorCode.InternalError, message);
+  }
+
+  // -32002 is the MCP "resource not found" error code.
+  let code = ErrorCode.InternalError;
+  if (error.code === "NOT_FOUND") code = -32002;
+  else if (error.status === 400) code = ErrorCode.InvalidParams;
+
+  return new McpError(code, error.message, {
+    code: error.code,
+    hint: error.hint,
+    status: error.status,
+  });
+}
+
+// Runs a non-tool request (resources, prompts, ...) with the same per-call context as tools.
+async function runInCallContext(name, { workspace, extra, session }, fn) {
+  try {
+    const profile = getWorkspaceProfile(workspace);
+    const context = createCallContext({
+      toolName: name,
+      profile,
+      signal: extra?.signal,
+      session,
+      extra,
+    });
+    return await callContext.run(context, fn);
+  } catch (error) {
+    logError(`${name} failed`, error);
+    throw toMcpError(error);
+  }
+}
+
+async function listResources(extra, session) {
+  return runInCallContext("resources/list", { extra, session }, async () => {
+    const resources = [];
+    for (const [collection, { label, tool, listable }] of Object.entries(RESOURCE_COLLECTIONS)) {
+      if (!listable || getToolBlockReason(tool)) continue;
+
+      const { items } = await listWithCache(`/${collection}`, { limit: 1000 });
+      for (const item of items) {
+        if (!item?.id) continue;
+        resources.push({
+          uri: toResourceUri(collection, item.id),
+          name: item.name ?? item.id,
+          title: `${label}: ${item.name ?? item.id}`,
+          mimeType: RESOURCE_MIME_TYPE,
+        });
+      }
+    }
+    return { resources };
+  });
+}
+
+function listResourceTemplates() {
+  return {
+    resourceTemplates: Object.entries(RESOURCE_COLLECTIONS)
+      .filter(([, { tool }]) => !getToolBlockReason(tool))
+      .map(([collection, { label }]) => ({
+        uriTemplate: `productboard://${collection}/{id}`,
+        name: collection,
+        title: `Productboard ${label.toLowerCase()}`,
+        description: `A ${label.toLowerCase()} by ID, as returned by the Productboard API.`,
+        mimeType: RESOURCE_MIME_TYPE,
+      })),
+  };
+}
+
+async function readResource(request, extra, session) {
+  const uri = request.params.uri;
+  let target;
+  try {
+    target = parseResourceUri(uri);
+    const blockReason = getToolBlockReason(RESOURCE_COLLECTIONS[target.collection].tool);
+    if (blockReason) {
+      throw new ProductboardApiError(`Resource ${uri} is disabled because ${blockReason}.`, {
+        status: 403,
+        code: "TOOL_DISABLED",
+        hint: "Ask the user to change the server's tool restrictions.",
+      });
+    }
+  } catch (error) {
+    throw toMcpError(error);
+  }
+
+  const path = `/${target.collection}/${encodeURIComponent(target.id)}`;
+  return runInCallContext("resources/read", { workspace: target.workspace, extra, session }, async () => {
+    const payload = await apiRequest("GET", path);
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: RESOURCE_MIME_TYPE,
+          text: JSON.stringify(payload?.data ?? null, null, 2),
+        },
+      ],
+    };
+  });
+}
+
+// MCP prompts for recurring product-ops workflows. Each prompt pre-fetches its data through
+// the tool handlers and is hidden when any of the tools it uses is blocked.
+const prompts = [
+  {
+    name: "triage_feedback",
+    title: "Triage customer feedback",
+    description:
+      "Group the notes received in a date range into themes, link them to features and flag urgent ones.",
+    arguments: [
+      { name: "dateFrom", description: "First day to include (YYYY-MM-DD). Defaults to 7 days ago." },
+      { name: "dateTo", description: "Last day to include (YYYY-MM-DD). Defaults to today." },
+      { name: "owner_email", description: "Only notes owned by this user." },
+    ],
+  },
+  {
+    name: "release_notes",
+    title: "Draft release notes",
+    description: "Draft customer-facing release notes from the features assigned to a release.",
+    arguments: [
+      { name: "release_id", description: "Release ID.", required: true },
+      { name: "status_name", description: "Only features with this status, e.g. Released." },
+    ],
+  },
+  {
+    name: "okr_review",
+    title: "OKR check-in",
+    description: "Prepare a check-in on an objective and the progress of its key results.",
+    arguments: [{ name: "objective_id", description: "Objective ID.", required: true }],
+  },
+];
+
+const PROMPT_TOOLS = {
+  triage_feedback: ["pb_notes_list"],
+  release_notes: ["pb_release_get", "pb_feature_release_list", "pb_feature_get"],
+  okr_review: ["pb_objective_get", "pb_key_results_list"],
+};
+
+// Prompts embed a trimmed view of at most this many items, so they fit the context window.
+const MAX_TRIAGE_NOTES = 200;
+const MAX_RELEASE_NOTES_FEATURES = 100;
+// Feature details for release_notes are fetched this many at a time.
+const RELEASE_NOTES_FETCH_BATCH = 5;
+const PROMPT_SNIPPET_LENGTH = 300;
+
+function getPromptBlockReason(promptName) {
+  for (const toolName of PROMPT_TOOLS[promptName] ?? []) {
+    const reason = getToolBlockReason(toolName);
+    if (reason) return `${toolName} is disabled because ${reason}`;
+  }
+  return undefined;
+}
+
+function requirePromptArgument(args, name) {
+  const value = typeof args[name] === "string" ? args[name].trim() : "";
+  if (!value) {
+    throw new ProductboardApiError(`Missing required prompt argument: ${name}`, { status: 400 });
+  }
+  return value;
+}
+
+function toJsonBlock(data) {
+  return `\`\`\`json\n${JSON.stringify(shapeReadResult(data, { compact: true }))}\n\`\`\``;
+}
+
+function toPromptMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+// Plain-text start of a (usually HTML) description or note body.
+function toSnippet(value) {
+  if (typeof value !== "string") return undefined;
+  const text = value
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > PROMPT_SNIPPET_LENGTH
+    ? `${text.slice(0, PROMPT_SNIPPET_LENGTH).trimEnd()}…`
+    : text;
+}
+
+function toTriageNote(note) {
+  return {
+    id: note?.id,
+    title: note?.title,
+    state: note?.state,
+    owner: note?.owner?.email,
+    customer: note?.user?.email ?? note?.company?.name,
+    tags: note?.tags,
+    created_at: note?.createdAt,
+    content: toSnippet(note?.content),
+  };
+}
+
+function toReleaseNotesFeature(feature) {
+  return {
+    id: feature?.id,
+    name: feature?.name,
+    type: feature?.type,
+    status: feature?.status?.name,
+    owner: feature?.owner?.email,
+    description: toSnippet(feature?.description),
+  };
+}
+
+async function buildTriageFeedbackPrompt(args) {
+  const today = new Date();
+  const dateTo = args.dateTo?.trim() || today.toISOString().slice(0, 10);
+  const dateFrom =
+    args.dateFrom?.trim() ||
+    new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  toOptionalTimestamp(dateFrom, "dateFrom");
+  toOptionalTimestamp(dateTo, "dateTo");
+
+  const ownerEmail = args.owner_email?.trim();
+  const notes = await pbNotesList({
+    dateFrom,
+    dateTo,
+    ...(ownerEmail ? { ownerEmail } : {}),
+    limit: MAX_TRIAGE_NOTES,
+  });
+
+  return {
+    description: `Triage of ${notes.count} notes from ${dateFrom} to ${dateTo}`,
+    messages: [
+      toPromptMessage(
+        [
+          `Triage the customer feedback received in Productboard from ${dateFrom} to ${dateTo}${
+            ownerEmail ? `, owned by ${ownerEmail}` : ""
+          }.`,
+          "",
+          "1. Group the notes into themes and name each theme in a few words.",
+          "2. For each theme, list the note IDs, the customers or companies involved and a one-line summary.",
+          "3. Suggest existing features to link each theme to (use pb_features_list), or propose a new feature.",
+          "4. Flag anything urgent: churn risk, blockers, bugs or security concerns.",
+          "5. Ask before linking notes or creating features.",
+          "",
+          notes.has_more
+            ? `There are more than ${notes.count} notes in this range; only the first ${notes.count} are included. Fetch the rest with pb_notes_list.`
+            : `All ${notes.count} notes in this range are included.`,
+          `Note content is cut to ${PROMPT_SNIPPET_LENGTH} characters; use pb_note_get for a full note.`,
+          "",
+          toJsonBlock(notes.items.map(toTriageNote)),
+        ].join("\n"),
+      ),
+    ],
+  };
+}
+
+async function buildReleaseNotesPrompt(args) {
+  const releaseId = requirePromptArgument(args, "release_id");
+  const release = await pbReleaseGet({ id: releaseId });
+  const assignments = await pbFeatureReleaseList({ release_id: releaseId, limit: 1000 });
+
+  const featureIds = assignments.items
+    .filter((assignment) => assignment?.assigned !== false && assignment?.feature?.id)
+    .map((assignment) => assignment.feature.id);
+  const included = featureIds.slice(0, MAX_RELEASE_NOTES_FEATURES);
+  const statusName = args.status_name?.trim();
+  const features = [];
+  for (let start = 0; start < included.length; start += RELEASE_NOTES_FETCH_BATCH) {
+    const batch = included.slice(start, start + RELEASE_NOTES_FETCH_BATCH);
+    features.push(...(await Promise.all(batch.map((id) => pbFeatureGet({ id })))));
+  }
+  const selected = statusName
+    ? features.filter(
+        (feature) => feature?.status?.name?.toLowerCase() === statusName.toLowerCase(),
+      )
+    : features;
+
+  return {
+    description: `Release notes for ${release?.name ?? releaseId}`,
+    messages: [
+      toPromptMessage(
+        [
+          `Draft customer-facing release notes for the Productboard release "${release?.name ?? releaseId}".`,
+          "",
+          "- Open with a two-sentence summary of the release.",
+          "- Group changes under New, Improved and Fixed; one bullet per feature, written for customers, not engineers.",
+          "- Leave out internal-only work and features that are not done yet, and list them separately for review.",
+          "- Keep it under 400 words.",
+          "",
+          featureIds.length > features.length
+            ? `The release has ${featureIds.length} features; only the first ${features.length} were considered.`
+            : `The release has ${features.length} features.`,
+          ...(statusName
+            ? [`Only the ${selected.length} with status "${statusName}" are included.`]
+            : []),
+          `Descriptions are cut to ${PROMPT_SNIPPET_LENGTH} characters; use pb_feature_get for a full one.`,
+          "",
+          "Release:",
+          toJsonBlock({
+            id: release?.id ?? releaseId,
+            name: release?.name,
+            description: toSnippet(release?.description),
+            state: release?.state,
+            timeframe: release?.timeframe,
+          }),
+          "",
+          "Features:",
+          toJsonBlock(selected.map(toReleaseNotesFeature)),
+        ].join("\n"),
+      ),
+    ],
+  };
+}
+
+async function buildOkrReviewPrompt(args) {
+  const objectiveId = requirePromptArgument(args, "objective_id");
+  const objective = await pbObjectiveGet({ id: objectiveId });
+  const keyResults = await pbKeyResultsList({ objective_id: objectiveId, limit: 1000 });
+
+  return {
+    description: `OKR check-in for ${objective?.name ?? objectiveId}`,
+    messages: [
+      toPromptMessage(
+        [
+          `Prepare an OKR check-in for the objective "${objective?.name ?? objectiveId}".`,
+          "",
+          "1. For each key result, give current vs. target value, percent complete and whether it is on track for the timeframe.",
+          "2. Summarize overall confidence in the objective: on track, at risk or off track, with one sentence of reasoning.",
+          "3. List the key results that need attention and suggest a next step for each.",
+          "4. Point out key results with missing owners, targets or stale values.",
+          "",
+          "Objective:",
+          toJsonBlock(objective),
+          "",
+          `Key results (${keyResults.count}):`,
+          toJsonBlock(keyResults.items),
+        ].join("\n"),
+      ),
+    ],
+  };
+}
+
+const promptBuilders = {
+  triage_feedback: buildTriageFeedbackPrompt,
+  release_notes: buildReleaseNotesPrompt,
+  okr_review: buildOkrReviewPrompt,
+};
+
+async function getPrompt(request, extra, session) {
+  const promptName = request.params.name;
+  const build = promptBuilders[promptName];
+  const blockReason = build ? getPromptBlockReason(promptName) : undefined;
+  if (!build || blockReason) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      build ? `Prompt ${promptName} is unavailable: ${blockReason}.` : `Unknown prompt: ${promptName}`,
+    );
+  }
+
+  const args = toObject(request.params.arguments);
+  return runInCallContext(`prompts/get ${promptName}`, { extra, session }, () => build(args));
+}
+
+// completion/complete for prompt and resource-template arguments, backed by the (cached)
+// reference lists. Sources are keyed by argument name; templates map to a source by collection.
+const toIdCandidate = (item) => (item?.id ? { value: item.id, label: item.name } : undefined);
+
+const COMPLETION_SOURCES = {
+  status_name: {
+    path: "/feature-statuses",
+    tool: "pb_feature_statuses",
+    toCandidate: (item) => (item?.name ? { value: item.name } : undefined),
+  },
+  owner_email: {
+    path: "/users",
+    tool: "pb_users_list",
+    toCandidate: (item) => (item?.email ? { value: item.email, label: item.name } : undefined),
+  },
+  release_group_id: {
+    path: "/release-groups",
+    tool: "pb_release_groups_list",
+    toCandidate: toIdCandidate,
+  },
+  product_id: { path: "/products", tool: "pb_products_list", toCandidate: toIdCandidate },
+  component_id: { path: "/components", tool: "pb_components_list", toCandidate: toIdCandidate },
+  release_id: { path: "/releases", tool: "pb_releases_list", toCandidate: toIdCandidate },
+  objective_id: { path: "/objectives", tool: "pb_objectives_list", toCandidate: toIdCandidate },
+};
+
+const RESOURCE_COMPLETION_SOURCES = {
+  products: "product_id",
+  components: "component_id",
+  "release-groups": "release_group_id",
+  releases: "release_id",
+  objectives: "objective_id",
+};
+
+// MCP caps completion results at 100 values.
+const MAX_COMPLETION_VALUES = 100;
+
+function isSubsequence(needle, haystack) {
+  let index = 0;
+  for (const char of haystack) {
+    if (char === needle[index]) index += 1;
+    if (index === needle.length) return true;
+  }
+  return needle.length === 0;
+}
+
+// 4 = prefix, 3 = word prefix, 2 = substring, 1 = fuzzy (characters in order), 0 = no match.
+function scoreCompletion(candidate, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return 1;
+
+  let best = 0;
+  for (const text of [candidate.value, candidate.label]) {
+    if (typeof text !== "string") continue;
+    const haystack = text.toLowerCase();
+    if (haystack.startsWith(needle)) return 4;
+    if (haystack.split(/[\s@._-]+/).some((word) => word.startsWith(needle))) {
+      best = Math.max(best, 3);
+    } else if (haystack.includes(needle)) {
+      best = Math.max(best, 2);
+    } else if (isSubsequence(needle, haystack)) {
+      best = Math.max(best, 1);
+    }
+  }
+  return best;
+}
+
+function getCompletionSourceKey(ref, argumentName) {
+  if (ref?.type === "ref/prompt") {
+    const prompt = prompts.find((candidate) => candidate.name === ref.name);
+    return prompt?.arguments.some((argument) => argument.name === argumentName)
+      ? argumentName
+      : undefined;
+  }
+
+  if (ref?.type === "ref/resource" && argumentName === "id") {
+    const collection = /^productboard:\/\/([^/]+)\/\{id\}$/.exec(ref.uri ?? "")?.[1];
+    return RESOURCE_COMPLETION_SOURCES[collection];
+  }
+
+  return undefined;
+}
+
+async function complete(request, extra, session) {
+  const empty = { completion: { values: [], total: 0, hasMore: false } };
+  const { ref, argument } = request.params;
+  const source = COMPLETION_SOURCES[getCompletionSourceKey(ref, argument?.name)];
+  if (!source || getToolBlockReason(source.tool)) return empty;
+
+  let items;
+  try {
+    ({ items } = await runInCallContext("completion/complete", { extra, session }, () =>
+      listWithCache(source.path, { limit: 1000 }),
+    ));
+  } catch {
+    // Completion is best effort; the error was already logged.
+    return empty;
+  }
+
+  const seen = new Set();
+  const sortKey = (candidate) => candidate.label ?? candidate.value;
+  const ranked = items
+    .map(source.toCandidate)
+    .filter((candidate) => candidate && !seen.has(candidate.value) && seen.add(candidate.value))
+    .map((candidate) => ({ candidate, score: scoreCompletion(candidate, argument.value ?? "") }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || sortKey(a.candidate).localeCompare(sortKey(b.candidate)));
+
+  return {
+    completion: {
+      values: ranked.slice(0, MAX_COMPLETION_VALUES).map(({ candidate }) => candidate.value),
+      total: ranked.length,
+      hasMore: ranked.length > MAX_COMPLETION_VALUES,
+    },
+  };
+}
+
+// One Server per connection: stdio has exactly one, HTTP has one per MCP session.
+function createMcpServer() {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: SERVER_VERSION,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+        completions: {},
+        logging: {},
+      },
+    },
+  );
+
+  // Per-connection state shared by the request handlers below.
+  const session = { logLevel: getDefaultLogLevel() };
+
+  // Replaces the SDK's built-in handler so the level also gates our own log messages.
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    session.logLevel = request.params.level;
+    return {};
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: tools.filter((tool) => !getToolBlockReason(tool.name)) };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+    handleCallTool(request, extra, session),
+  );
+
+  server.setRequestHandler(ListResourcesRequestSchema, (request, extra) =>
+    listResources(extra, session),
+  );
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => listResourceTemplates());
+
+  server.setRequestHandler(ReadResourceRequestSchema, (request, extra) =>
+    readResource(request, extra, session),
+  );
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: prompts.filter((prompt) => !getPromptBlockReason(prompt.name)) };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, (request, extra) =>
+    getPrompt(request, extra, session),
+  );
+
+  server.setRequestHandler(CompleteRequestSchema, (request, extra) =>
+    complete(request, extra, session),
+  );
+
+  return server;
+}
+
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      http: { type: "boolean" },
+      transport: { type: "string" },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+    strict: true,
+  });
+
+  const transport = values.http
+    ? "http"
+    : (values.transport ?? process.env.PRODUCTBOARD_MCP_TRANSPORT ?? "stdio").toLowerCase();
+
+  if (transport !== "stdio" && transport !== "http") {
+    throw new Error(`Unknown transport "${transport}". Use "stdio" or "http".`);
+  }
+
+  const port = Number(values.port ?? process.env.PRODUCTBOARD_MCP_PORT ?? DEFAULT_HTTP_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${values.port ?? process.env.PRODUCTBOARD_MCP_PORT}`);
+  }
+
+  return {
+    transport,
+    host: values.host ?? process.env.PRODUCTBOARD_MCP_HOST ?? DEFAULT_HTTP_HOST,
+    port,
+    authToken: process.env.PRODUCTBOARD_MCP_AUTH_TOKEN?.trim() || undefined,
+  };
+}
+
+function isAuthorizedHttpRequest(req, authToken) {
+  const header = req.headers.authorization ?? "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return false;
+
+  // Hashing first gives equal-length buffers, so neither the token nor its length leaks.
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(authToken), digest(match[1].trim()));
+}
+
+function sendJsonRpcError(res, httpStatus, message) {
+  res.writeHead(httpStatus, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code: -32000, message },
+      id: null,
+    }),
+  );
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > HTTP_MAX_BODY_BYTES) {
+      throw new ProductboardApiError("Request body too large.", { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) return undefined;
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new ProductboardApiError("Request body is not valid JSON.", { status: 400 });
+  }
+}
+
+async function startHttpTransport({ host, port, authToken }) {
+  if (!authToken) {
+    throw new Error(
+      "HTTP transport requires PRODUCTBOARD_MCP_AUTH_TOKEN; clients must send it as a Bearer token.",
+    );
+  }
+
+  const idleTimeoutMs = readNumberEnv(
+    "PRODUCTBOARD_HTTP_SESSION_IDLE_MS",
+    DEFAULT_HTTP_SESSION_IDLE_MS,
+    { min: 1 },
+  );
+  const maxSessions = readNumberEnv("PRODUCTBOARD_HTTP_MAX_SESSIONS", DEFAULT_HTTP_MAX_SESSIONS, {
+    min: 1,
+  });
+  // Session ID -> { transport, lastActivity, openRequests }. Clients that vanish without a
+  // DELETE are closed once they have had no open request, such as the GET event stream, for
+  // idleTimeoutMs.
+  const sessions = new Map();
+
+  const sweepTimer = setInterval(
+    () => {
+      const cutoff = Date.now() - idleTimeoutMs;
+      for (const [id, session] of sessions) {
+        if (session.openRequests === 0 && session.lastActivity < cutoff) {
+          console.error(`[${SERVER_NAME}] Closing MCP session ${id} after ${idleTimeoutMs}ms idle.`);
+          sessions.delete(id);
+          session.transport.close().catch(() => {});
+        }
+      }
+    },
+    Math.min(idleTimeoutMs, 60_000),
+  );
+  sweepTimer.unref();
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url ?? "/", "http://localhost");
+      if (pathname !== HTTP_ENDPOINT_PATH) {
+        sendJsonRpcError(res, 404, `Not found. The MCP endpoint is ${HTTP_ENDPOINT_PATH}.`);
+        return;
+      }
+
+      if (!isAuthorizedHttpRequest(req, authToken)) {
+        sendJsonRpcError(res, 401, "Unauthorized.");
+        return;
+      }
+
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers["mcp-session-id"];
+      const session = sessionId ? sessions.get(sessionId) : undefined;
+      let transport = session?.transport;
+
+      if (session) {
+        session.lastActivity = Date.now();
+        session.openRequests += 1;
+        res.once("close", () => {
+          session.openRequests -= 1;
+          session.lastActivity = Date.now();
+        });
+      } else {
+        if (sessionId) {
+          sendJsonRpcError(res, 404, "Unknown or expired MCP session.");
+          return;
+        }
+        if (req.method !== "POST" || !isInitializeRequest(body)) {
+          sendJsonRpcError(res, 400, "Missing MCP session. Send an initialize request first.");
+          return;
+        }
+        if (sessions.size >= maxSessions) {
+          sendJsonRpcError(res, 503, "Too many open MCP sessions. Try again later.");
+          return;
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            sessions.set(id, { transport, lastActivity: Date.now(), openRequests: 0 });
+          },
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) sessions.delete(transport.sessionId);
+        };
+        await createMcpServer().connect(transport);
+      }
+
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      logError("HTTP request failed", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error?.status ?? 500, error?.message ?? "Internal server error.");
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const shutdown = async () => {
+    clearInterval(sweepTimer);
+    for (const { transport } of sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    httpServer.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  const address = httpServer.address();
+  console.error(
+    `[${SERVER_NAME}] MCP server listening on http://${host}:${address.port}${HTTP_ENDPOINT_PATH}.`,
+  );
+}
 
 async function main() {
+  ({ profiles: workspaceProfiles, defaultName: defaultProfileName } = loadWorkspaceProfiles());
+  toolPolicy = loadToolPolicy();
+  const options = parseCliOptions(process.argv.slice(2));
+
+  if (options.transport === "http") {
+    await startHttpTransport(options);
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createMcpServer().connect(transport);
   console.error(`[${SERVER_NAME}] MCP server running.`);
 }
 
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { startServer } from "./fixtures/server.js";
+
+test("completes release IDs by name from the cached release list", async (t) => {
+  const server = await startServer({
+    MOCK_API_DATA: {
+      "/releases": [
+        { id: "R1", name: "Spring launch" },
+        { id: "R2", name: "Summer launch" },
+      ],
+    },
+  });
+  t.after(() => server.close());
+
+  const complete = (value) =>
+    server.client.complete({
+      ref: { type: "ref/prompt", name: "release_notes" },
+      argument: { name: "release_id", value },
+    });
+
+  assert.deepEqual((await complete("spr")).completion.values, ["R1"]);
+  assert.deepEqual((await complete("summ")).completion.values, ["R2"]);
+
+  const listings = (await server.apiRequests()).filter(({ path }) => path === "/releases");
+  assert.equal(listings.length, 1);
+});
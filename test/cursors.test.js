@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+const FEATURES = ["F1", "F2", "F3", "F4", "F5"].map((id) => ({ id, name: `Feature ${id}` }));
+const ids = (items) => items.map((item) => item.id);
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    MOCK_API_DATA: { "/features": FEATURES },
+    MOCK_API_PAGE_SIZE: "2",
+  });
+});
+
+after(() => server?.close());
+
+test("resumes exactly where the previous call stopped, mid-page", async () => {
+  const first = await callTool(server.client, "pb_features_list", { limit: 3 });
+  assert.deepEqual(ids(first.data.items), ["F1", "F2", "F3"]);
+  assert.equal(first.data.has_more, true);
+  assert.ok(first.data.next_cursor);
+
+  const rest = await callTool(server.client, "pb_features_list", {
+    limit: 10,
+    cursor: first.data.next_cursor,
+  });
+  assert.deepEqual(ids(rest.data.items), ["F4", "F5"]);
+  assert.equal(rest.data.has_more, false);
+  assert.equal(rest.data.next_cursor, null);
+});
+
+test("rejects an edited cursor", async () => {
+  const { data } = await callTool(server.client, "pb_features_list", { limit: 1 });
+  const [payload, signature] = data.next_cursor.split(".");
+  const state = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  const forged = Buffer.from(
+    JSON.stringify({ ...state, url: "https://api.productboard.com/notes" }),
+  ).toString("base64url");
+
+  const { error } = await callTool(server.client, "pb_features_list", {
+    cursor: `${forged}.${signature}`,
+  });
+  assert.equal(error.code, "INVALID_CURSOR");
+  assert.equal(error.message, "Invalid or expired cursor.");
+});
+
+test("rejects a cursor from another endpoint or other filters", async () => {
+  const { data } = await callTool(server.client, "pb_features_list", { limit: 1 });
+
+  const otherTool = await callTool(server.client, "pb_releases_list", {
+    cursor: data.next_cursor,
+  });
+  assert.equal(otherTool.error.code, "INVALID_CURSOR");
+  assert.match(otherTool.error.message, /issued for \/features/);
+
+  const otherFilters = await callTool(server.client, "pb_features_list", {
+    cursor: data.next_cursor,
+    product_id: "P1",
+  });
+  assert.equal(otherFilters.error.code, "INVALID_CURSOR");
+  assert.match(otherFilters.error.message, /different filters/);
+});
@@ -0,0 +1,102 @@
+// Preloaded with `node --import` so the server talks to this stub instead of Productboard.
+// Tests shape it through environment variables:
+//   MOCK_API_DATA       JSON object of list path -> items, replacing the default two entities.
+//                       GET <path>/<id> returns the matching item.
+//   MOCK_API_PAGE_SIZE  items per list page; further pages are linked through links.next.
+//   MOCK_API_FAILURES   JSON object of "METHOD /path" -> responses ({ status, retryAfter })
+//                       returned in order before that route answers normally.
+//   MOCK_API_DELAY_MS   delay before every response.
+//   MOCK_API_LOG        file that receives one JSON line per request.
+import { appendFileSync } from "node:fs";
+
+const data = JSON.parse(process.env.MOCK_API_DATA || "{}");
+const failures = JSON.parse(process.env.MOCK_API_FAILURES || "{}");
+const pageSize = Number(process.env.MOCK_API_PAGE_SIZE) || Infinity;
+const delayMs = Number(process.env.MOCK_API_DELAY_MS) || 0;
+
+const entity = (id, extra = {}) => ({
+  id,
+  name: `Entity ${id}`,
+  status: { id: "S1", name: "New" },
+  links: { self: `https://api.productboard.com/entities/${id}` },
+  ...extra,
+});
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json", ...headers },
+  });
+
+function listPage(url, items) {
+  const offset = Number(url.searchParams.get("pageOffset") ?? 0);
+  const end = offset + pageSize;
+  let next = null;
+  if (end < items.length) {
+    const nextUrl = new URL(url);
+    nextUrl.searchParams.set("pageOffset", String(end));
+    next = nextUrl.toString();
+  }
+  return json({ data: items.slice(offset, end), links: { next }, pageCursor: null });
+}
+
+function respond(url, method, body) {
+  const segments = url.pathname.split("/").filter(Boolean);
+
+  const failure = failures[`${method} ${url.pathname}`]?.shift();
+  if (failure) {
+    const headers = failure.retryAfter ? { "retry-after": String(failure.retryAfter) } : {};
+    return json({ errors: [{ detail: "Mock failure" }] }, failure.status, headers);
+  }
+
+  if (method === "DELETE") return new Response(null, { status: 204 });
+  if (method !== "GET") {
+    return json({ data: { ...entity("W1"), ...body?.data }, links: { self: "s" } }, 201);
+  }
+
+  if (url.pathname === "/user") return json({}, 404);
+  if (url.pathname === "/feature-statuses") {
+    return json({
+      data: [
+        { id: "S1", name: "New" },
+        { id: "S2", name: "In progress" },
+      ],
+      links: { next: null },
+    });
+  }
+  if (url.pathname.endsWith("/value")) return json({ data: { value: 3 } });
+
+  if (data[url.pathname]) return listPage(url, data[url.pathname]);
+
+  const last = segments.at(-1);
+  if (segments.length >= 2 && !["objectives", "custom-fields", "key-results"].includes(last)) {
+    const collection = `/${segments.slice(0, -1).join("/")}`;
+    const known = data[collection]?.find((item) => item.id === last);
+    return json({ data: known ?? entity(last) });
+  }
+  return listPage(url, [entity("1"), entity("2")]);
+}
+
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(input instanceof Request ? input.url : String(input));
+  const method = init.method ?? "GET";
+  const body = typeof init.body === "string" ? JSON.parse(init.body) : undefined;
+
+  if (process.env.MOCK_API_LOG) {
+    appendFileSync(
+      process.env.MOCK_API_LOG,
+      `${JSON.stringify({ method, path: url.pathname, query: url.search, body })}\n`,
+    );
+  }
+  if (delayMs > 0) {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delayMs);
+      init.signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(init.signal.reason);
+      });
+    });
+  }
+
+  return respond(url, method, body);
+};
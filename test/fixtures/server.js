@@ -0,0 +1,98 @@
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+export const serverPath = fileURLToPath(new URL("../../server/index.js", import.meta.url));
+export const mockApiPath = fileURLToPath(new URL("./mock-api.js", import.meta.url));
+
+// Environment for a server process backed by mock-api.js, with its local files in dataDir.
+export function serverEnv(dataDir, env = {}) {
+  return {
+    ...process.env,
+    PRODUCTBOARD_API_TOKEN: "test-token",
+    PRODUCTBOARD_AUDIT_LOG: join(dataDir, "audit.jsonl"),
+    PRODUCTBOARD_UNDO_JOURNAL: join(dataDir, "undo-journal.json"),
+    PRODUCTBOARD_RATE_LIMIT_RPS: "0",
+    MOCK_API_LOG: join(dataDir, "requests.jsonl"),
+    ...Object.fromEntries(
+      Object.entries(env).map(([name, value]) => [
+        name,
+        typeof value === "string" ? value : JSON.stringify(value),
+      ]),
+    ),
+  };
+}
+
+// Starts the server over stdio. Non-string env values are passed as JSON.
+export async function startServer(env = {}) {
+  const dataDir = await mkdtemp(join(tmpdir(), "pb-connector-test-"));
+  const client = new Client({ name: "pb-connector-test", version: "1.0.0" });
+  await client.connect(
+    new StdioClientTransport({
+      command: process.execPath,
+      args: ["--import", mockApiPath, serverPath],
+      env: serverEnv(dataDir, env),
+      stderr: "ignore",
+    }),
+  );
+
+  return {
+    client,
+    dataDir,
+    // Every request the server sent to the mock API so far, oldest first.
+    async apiRequests() {
+      const log = await readFile(join(dataDir, "requests.jsonl"), "utf8").catch(() => "");
+      return log
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    },
+    async close() {
+      await client.close();
+      await rm(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Calls a tool and returns its structured result, or the parsed error of a failed call.
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  if (result.isError) {
+    return { error: JSON.parse(result.content[0].text).error, meta: result._meta };
+  }
+  return { data: result.structuredContent, meta: result._meta };
+}
+
+// Starts the server with the HTTP transport on a free port and returns its MCP endpoint URL.
+export async function startHttpServer(env = {}) {
+  const dataDir = await mkdtemp(join(tmpdir(), "pb-connector-test-"));
+  const child = spawn(
+    process.execPath,
+    ["--import", mockApiPath, serverPath, "--transport", "http", "--port", "0"],
+    { env: serverEnv(dataDir, { PRODUCTBOARD_MCP_AUTH_TOKEN: "http-token", ...env }) },
+  );
+
+  const url = await new Promise((resolve, reject) => {
+    let output = "";
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+      const match = /listening on (\S+?)\.?$/m.exec(output);
+      if (match) resolve(new URL(match[1]));
+    });
+    child.once("exit", (code) => reject(new Error(`Server exited with ${code}: ${output}`)));
+  });
+
+  return {
+    url,
+    async close() {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill("SIGKILL");
+      await exited;
+      await rm(dataDir, { recursive: true, force: true });
+    },
+  };
+}
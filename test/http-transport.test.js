@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { startHttpServer } from "./fixtures/server.js";
+
+const PROTOCOL_VERSION = "2025-06-18";
+
+function post(url, message, { token = "http-token", sessionId } = {}) {
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      "MCP-Protocol-Version": PROTOCOL_VERSION,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}),
+    },
+    body: JSON.stringify({ jsonrpc: "2.0", ...message }),
+  });
+}
+
+// Opens a session with a bare initialize request, without the GET event stream.
+async function initialize(url, options) {
+  const response = await post(
+    url,
+    {
+      id: 1,
+      method: "initialize",
+      params: {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: "http-test", version: "1.0.0" },
+      },
+    },
+    options,
+  );
+  await response.text();
+  return response;
+}
+
+async function connectClient(url) {
+  const client = new Client({ name: "http-test", version: "1.0.0" });
+  await client.connect(
+    new StreamableHTTPClientTransport(url, {
+      requestInit: { headers: { Authorization: "Bearer http-token" } },
+    }),
+  );
+  return client;
+}
+
+test("rejects requests without the bearer token", async (t) => {
+  const server = await startHttpServer();
+  t.after(() => server.close());
+
+  assert.equal((await initialize(server.url, { token: null })).status, 401);
+  assert.equal((await initialize(server.url, { token: "http-tokem" })).status, 401);
+
+  const client = await connectClient(server.url);
+  t.after(() => client.close());
+  const { tools } = await client.listTools();
+  assert.ok(tools.some((tool) => tool.name === "pb_features_list"));
+});
+
+test("refuses new sessions beyond the cap", async (t) => {
+  const server = await startHttpServer({ PRODUCTBOARD_HTTP_MAX_SESSIONS: "1" });
+  t.after(() => server.close());
+
+  const first = await initialize(server.url);
+  assert.equal(first.status, 200);
+  assert.ok(first.headers.get("mcp-session-id"));
+  assert.equal((await initialize(server.url)).status, 503);
+});
+
+test("closes idle sessions but keeps those with an open stream", async (t) => {
+  const server = await startHttpServer({ PRODUCTBOARD_HTTP_SESSION_IDLE_MS: "200" });
+  t.after(() => server.close());
+
+  const streaming = await connectClient(server.url);
+  t.after(() => streaming.close());
+  const sessionId = (await initialize(server.url)).headers.get("mcp-session-id");
+
+  await delay(1000);
+  const idle = await post(server.url, { id: 2, method: "tools/list" }, { sessionId });
+  await idle.text();
+  assert.equal(idle.status, 404);
+  assert.ok((await streaming.listTools()).tools.length > 0);
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server?.close());
+
+test("suggests the declared name for a misspelled property", async () => {
+  const { error } = await callTool(server.client, "pb_features_list", { owner_mail: "a@b.co" });
+  assert.equal(error.status, 400);
+  assert.match(error.message, /owner_mail: unknown property \(did you mean "owner_email"\?\)/);
+  assert.deepEqual(error.details.errors, [
+    { field: "owner_mail", message: "unknown property", suggestion: "owner_email" },
+  ]);
+});
+
+test("reports every invalid field in one error before calling the API", async () => {
+  const requestCount = (await server.apiRequests()).length;
+  const { error } = await callTool(server.client, "pb_feature_create", {
+    name: 42,
+    descripton: "B",
+  });
+
+  const fields = error.details.errors.map(({ field }) => field);
+  assert.ok(fields.includes("name"));
+  assert.ok(fields.includes("descripton"));
+  assert.ok(fields.includes("description"));
+  const typo = error.details.errors.find(({ field }) => field === "descripton");
+  assert.equal(typo.suggestion, "description");
+  assert.equal((await server.apiRequests()).length, requestCount);
+});
+
+test("accepts camelCase spellings of declared properties", async () => {
+  const { data, error } = await callTool(server.client, "pb_features_list", {
+    ownerEmail: "a@b.co",
+  });
+  assert.equal(error, undefined);
+  assert.equal(data.endpoint, "/features");
+});
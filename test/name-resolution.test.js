@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    MOCK_API_DATA: {
+      "/products": [
+        { id: "P1", name: "Mobile App" },
+        { id: "P2", name: "Web" },
+        { id: "P3", name: "web" },
+      ],
+      "/users": [{ id: "U1", name: "Ada Lovelace", email: "ada@example.com" }],
+    },
+  });
+});
+
+after(() => server?.close());
+
+const createFeature = (args) =>
+  callTool(server.client, "pb_feature_create", {
+    name: "A",
+    description: "B",
+    status_name: "New",
+    dry_run: true,
+    ...args,
+  });
+
+test("resolves names case-insensitively to IDs and emails", async () => {
+  const { data } = await createFeature({
+    product_name: "  mobile   app ",
+    owner_name: "ada lovelace",
+  });
+  const { body } = data.requests[0];
+  assert.deepEqual(body.data.parent, { product: { id: "P1" } });
+  assert.equal(body.data.owner.email, "ada@example.com");
+});
+
+test("lists the candidates when a name is ambiguous", async () => {
+  const { error } = await createFeature({ product_name: "WEB" });
+  assert.equal(error.code, "AMBIGUOUS_NAME");
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details.candidates.map(({ id }) => id).sort(), ["P2", "P3"]);
+});
+
+test("suggests similar names when nothing matches", async () => {
+  const { error } = await createFeature({ product_name: "Mobile" });
+  assert.equal(error.code, "NAME_NOT_FOUND");
+  assert.equal(error.status, 404);
+  assert.deepEqual(error.details.candidates, [{ id: "P1", name: "Mobile App" }]);
+});
+
+test("refuses a name together with the ID it stands for", async () => {
+  const { error } = await createFeature({ product_name: "Web", product_id: "P2" });
+  assert.equal(error.status, 400);
+  assert.match(error.message, /only one of product_id, product_name/);
+});
+
+test("refuses a product filter together with a parent filter", async () => {
+  const { error } = await callTool(server.client, "pb_features_list", {
+    product_id: "P1",
+    parent_id: "F1",
+  });
+  assert.equal(error.status, 400);
+  assert.match(error.message, /not both/);
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { AjvJsonSchemaValidator } from "@modelcontextprotocol/sdk/validation/ajv";
+import { startServer } from "./fixtures/server.js";
+
+// One call per tool, with just enough arguments to get past input validation.
+const TOOL_CALLS = {
+  pb_features_list: {},
+  pb_feature_get: { id: "F1" },
+  pb_feature_tree: {},
+  pb_feature_create: { name: "A", description: "B", status_name: "New", product_id: "P1" },
+  pb_feature_update: { id: "F1", name: "A" },
+  pb_feature_delete: { id: "F1" },
+  pb_feature_statuses: {},
+  pb_components_list: {},
+  pb_notes_list: {},
+  pb_note_get: { id: "N1" },
+  pb_note_create: { title: "A", content: "B" },
+  pb_note_update: { id: "N1", title: "A" },
+  pb_note_link: { note_id: "N1", entity_id: "F1" },
+  pb_products_list: {},
+  pb_objectives_list: {},
+  pb_objective_get: { id: "O1" },
+  pb_objective_create: { name: "A" },
+  pb_objective_update: { id: "O1", name: "A" },
+  pb_key_results_list: {},
+  pb_key_result_get: { id: "K1" },
+  pb_key_result_create: { objective_id: "O1", name: "A" },
+  pb_key_result_update: { id: "K1", name: "A" },
+  pb_initiatives_list: {},
+  pb_initiative_get: { id: "I1" },
+  pb_initiative_create: { name: "A" },
+  pb_initiative_update: { id: "I1", name: "A" },
+  pb_releases_list: {},
+  pb_release_get: { id: "R1" },
+  pb_release_create: { name: "A", description: "B", release_group_id: "G1" },
+  pb_release_update: { id: "R1", name: "A" },
+  pb_release_groups_list: {},
+  pb_feature_release_list: {},
+  pb_feature_release_assign: { feature_id: "F1", release_id: "R1", assigned: true },
+  pb_feature_objectives: { id: "F1" },
+  pb_feature_link_objective: { id: "F1", objective_id: "O1" },
+  pb_feature_link_initiative: { id: "F1", initiative_id: "I1" },
+  pb_companies_list: {},
+  pb_users_list: {},
+  pb_custom_fields_list: { type: "text" },
+  pb_custom_field_value_get: { custom_field_id: "C1", hierarchy_entity_id: "F1" },
+  pb_user_current: {},
+  pb_workspaces_list: {},
+  pb_audit_log_query: {},
+  pb_undo: { list: true },
+};
+
+const validator = new AjvJsonSchemaValidator();
+let server;
+let client;
+let tools;
+
+before(async () => {
+  server = await startServer();
+  ({ client } = server);
+  ({ tools } = await client.listTools());
+});
+
+after(() => server?.close());
+
+function assertMatchesOutputSchema(tool, result) {
+  assert.equal(result.isError, undefined, result.content?.[0]?.text);
+  const check = validator.getValidator(tool.outputSchema)(result.structuredContent);
+  assert.ok(check.valid, check.errorMessage);
+}
+
+test("every tool declares an outputSchema and is covered here", () => {
+  assert.deepEqual(tools.map((tool) => tool.name).sort(), Object.keys(TOOL_CALLS).sort());
+  for (const tool of tools) {
+    assert.equal(tool.outputSchema?.type, "object", tool.name);
+  }
+});
+
+for (const [name, args] of Object.entries(TOOL_CALLS)) {
+  test(`${name} result matches its outputSchema`, async () => {
+    const tool = tools.find((candidate) => candidate.name === name);
+    assertMatchesOutputSchema(tool, await client.callTool({ name, arguments: args }));
+  });
+}
+
+test("dry-run results match the outputSchema of mutating tools", async () => {
+  for (const tool of tools.filter((candidate) => candidate.inputSchema.properties.dry_run)) {
+    const args = { ...TOOL_CALLS[tool.name], dry_run: true };
+    assertMatchesOutputSchema(tool, await client.callTool({ name: tool.name, arguments: args }));
+  }
+});
+
+test("projected and tabular results still match the outputSchema", async () => {
+  const tool = tools.find((candidate) => candidate.name === "pb_features_list");
+  for (const args of [{ fields: "id,name" }, { compact: true }, { format: "csv" }]) {
+    assertMatchesOutputSchema(
+      tool,
+      await client.callTool({ name: tool.name, arguments: args }),
+    );
+  }
+});
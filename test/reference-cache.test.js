@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+async function countGets(server, path) {
+  const requests = await server.apiRequests();
+  return requests.filter((request) => request.method === "GET" && request.path === path).length;
+}
+
+test("serves repeated reference lists from the cache until refresh is passed", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const first = await callTool(server.client, "pb_products_list");
+  assert.equal(first.meta.api_requests, 1);
+
+  const second = await callTool(server.client, "pb_products_list");
+  assert.deepEqual(second.data.items, first.data.items);
+  assert.equal(second.meta.api_requests, 0);
+  assert.equal(second.meta.cache_hits, 1);
+
+  const refreshed = await callTool(server.client, "pb_products_list", { refresh: true });
+  assert.equal(refreshed.meta.api_requests, 1);
+  assert.equal(await countGets(server, "/products"), 2);
+});
+
+test("a write clears the cached entries of its collection", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  // The parent name is looked up in the cached /features list.
+  const create = {
+    name: "A",
+    description: "B",
+    status_name: "New",
+    parent_feature_name: "Entity 1",
+    dry_run: true,
+  };
+  await callTool(server.client, "pb_feature_create", create);
+  await callTool(server.client, "pb_feature_create", create);
+  assert.equal(await countGets(server, "/features"), 1);
+
+  await callTool(server.client, "pb_feature_update", { id: "F1", name: "Renamed" });
+  await callTool(server.client, "pb_feature_create", create);
+  assert.equal(await countGets(server, "/features"), 2);
+});
+
+test("a cancelled call does not cancel a shared fetch for the others", async (t) => {
+  const server = await startServer({ MOCK_API_DELAY_MS: "300" });
+  t.after(() => server.close());
+
+  const controller = new AbortController();
+  const cancelled = server.client.callTool(
+    { name: "pb_products_list", arguments: {} },
+    undefined,
+    { signal: controller.signal },
+  );
+  const waiting = callTool(server.client, "pb_products_list");
+  setTimeout(() => controller.abort("stop"), 100);
+
+  await assert.rejects(cancelled);
+  const { data, meta } = await waiting;
+  assert.equal(data.count, 2);
+  assert.equal(data.cancelled, undefined);
+  assert.equal(meta.cache_hits, 1);
+  assert.equal(await countGets(server, "/products"), 1);
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+test("retries a 429 after the Retry-After delay", async (t) => {
+  const server = await startServer({
+    MOCK_API_FAILURES: { "GET /products": [{ status: 429, retryAfter: 1 }] },
+  });
+  t.after(() => server.close());
+
+  const startedAt = Date.now();
+  const { data, meta } = await callTool(server.client, "pb_products_list");
+  assert.equal(data.count, 2);
+  assert.equal(meta.api_requests, 2);
+  assert.ok(Date.now() - startedAt >= 1000, "waited less than Retry-After");
+});
+
+test("retries 5xx responses until the request succeeds", async (t) => {
+  const server = await startServer({
+    MOCK_API_FAILURES: { "GET /features/F1": [{ status: 502 }, { status: 503 }] },
+  });
+  t.after(() => server.close());
+
+  const { data, meta } = await callTool(server.client, "pb_feature_get", { id: "F1" });
+  assert.equal(data.id, "F1");
+  assert.equal(meta.api_requests, 3);
+});
+
+test("gives up once the next delay would exceed the elapsed-time budget", async (t) => {
+  const server = await startServer({
+    PRODUCTBOARD_RETRY_MAX_ELAPSED_MS: "500",
+    MOCK_API_FAILURES: { "GET /products": [{ status: 429, retryAfter: 5 }] },
+  });
+  t.after(() => server.close());
+
+  const startedAt = Date.now();
+  const { error, meta } = await callTool(server.client, "pb_products_list");
+  assert.equal(error.status, 429);
+  assert.equal(error.retry_after_seconds, 5);
+  assert.equal(meta.api_requests, 1);
+  assert.ok(Date.now() - startedAt < 5000, "waited for a retry beyond the budget");
+});
+
+test("stops after the configured number of attempts", async (t) => {
+  const failure = { status: 500 };
+  const server = await startServer({
+    PRODUCTBOARD_RETRY_MAX_ATTEMPTS: "2",
+    MOCK_API_FAILURES: { "GET /features/F1": [failure, failure, failure] },
+  });
+  t.after(() => server.close());
+
+  const { error } = await callTool(server.client, "pb_feature_get", { id: "F1" });
+  assert.equal(error.status, 500);
+  assert.equal((await server.apiRequests()).length, 2);
+});
+
+test("does not retry a POST", async (t) => {
+  const server = await startServer({
+    MOCK_API_FAILURES: { "POST /notes": [{ status: 503 }] },
+  });
+  t.after(() => server.close());
+
+  const { error } = await callTool(server.client, "pb_note_create", { title: "A", content: "B" });
+  assert.equal(error.status, 503);
+  const posts = (await server.apiRequests()).filter(({ method }) => method === "POST");
+  assert.equal(posts.length, 1);
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server?.close());
+
+const createFeature = (args) =>
+  callTool(server.client, "pb_feature_create", {
+    name: "A",
+    description: "B",
+    product_id: "P1",
+    ...args,
+  });
+
+test("sends a feature status with the workspace's spelling", async () => {
+  const { data } = await createFeature({ status_name: "in PROGRESS", dry_run: true });
+  assert.deepEqual(data.requests[0].body.data.status, { name: "In progress" });
+});
+
+test("rejects an unknown feature status with the closest one", async () => {
+  const { error } = await createFeature({ status_name: "Nwe" });
+  assert.equal(error.status, 400);
+  assert.match(error.message, /Did you mean "New"\?/);
+  assert.equal(error.details.suggestion, "New");
+  assert.deepEqual(error.details.allowed, ["New", "In progress"]);
+  assert.ok(!(await server.apiRequests()).some(({ method }) => method === "POST"));
+});
+
+test("rejects an unknown feature status ID", async () => {
+  const { error } = await createFeature({ status_id: "S9" });
+  assert.equal(error.status, 400);
+  assert.equal(error.details.field, "status_id");
+});
+
+test("rejects an unknown release state with the closest one", async () => {
+  const { error } = await callTool(server.client, "pb_release_create", {
+    name: "A",
+    description: "B",
+    release_group_id: "G1",
+    state: "in progres",
+  });
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details.errors, [
+    {
+      field: "state",
+      message: "must be one of upcoming, in-progress, completed",
+      suggestion: "in-progress",
+    },
+  ]);
+});
+
+test("sends objective statuses unchecked", async () => {
+  const { data } = await callTool(server.client, "pb_objective_create", {
+    name: "A",
+    status_name: "Whatever",
+    dry_run: true,
+  });
+  assert.deepEqual(data.requests[0].body.data.status, { name: "Whatever" });
+  assert.ok(!(await server.apiRequests()).some(({ path }) => path === "/objectives"));
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+async function listToolNames(client) {
+  const { tools } = await client.listTools();
+  return tools.map((tool) => tool.name);
+}
+
+test("read-only mode hides and rejects every write", async (t) => {
+  const server = await startServer({ PRODUCTBOARD_READ_ONLY: "true" });
+  t.after(() => server.close());
+
+  const names = await listToolNames(server.client);
+  assert.ok(names.includes("pb_features_list"));
+  assert.ok(!names.includes("pb_feature_create"));
+  assert.ok(!names.includes("pb_feature_delete"));
+
+  const { error } = await callTool(server.client, "pb_feature_delete", { id: "F1" });
+  assert.equal(error.code, "TOOL_DISABLED");
+  assert.equal(error.status, 403);
+  assert.match(error.message, /read-only mode/);
+  assert.ok(!(await server.apiRequests()).some(({ method }) => method === "DELETE"));
+});
+
+test("read-only mode still lists the undo journal but refuses to revert", async (t) => {
+  const server = await startServer({ PRODUCTBOARD_READ_ONLY: "true" });
+  t.after(() => server.close());
+
+  assert.ok((await listToolNames(server.client)).includes("pb_undo"));
+  const { data } = await callTool(server.client, "pb_undo", { list: true });
+  assert.equal(data.count, 0);
+
+  const { error } = await callTool(server.client, "pb_undo", {});
+  assert.equal(error.code, "TOOL_DISABLED");
+});
+
+test("the deny list blocks tools matching a glob", async (t) => {
+  const server = await startServer({ PRODUCTBOARD_TOOLS_DENY: "pb_*_create" });
+  t.after(() => server.close());
+
+  const names = await listToolNames(server.client);
+  assert.ok(!names.includes("pb_note_create"));
+  assert.ok(!names.includes("pb_feature_create"));
+  assert.ok(names.includes("pb_note_update"));
+
+  const { error } = await callTool(server.client, "pb_note_create", { title: "A", content: "B" });
+  assert.equal(error.code, "TOOL_DISABLED");
+  assert.match(error.message, /deny list entry "pb_\*_create"/);
+});
+
+test("the allow list limits the server to the tools it names", async (t) => {
+  const server = await startServer({ PRODUCTBOARD_TOOLS_ALLOW: "pb_features_list,pb_note_*" });
+  t.after(() => server.close());
+
+  const names = await listToolNames(server.client);
+  assert.ok(names.includes("pb_features_list"));
+  assert.ok(names.includes("pb_note_get"));
+  assert.ok(!names.includes("pb_feature_get"));
+
+  const { error } = await callTool(server.client, "pb_feature_get", { id: "F1" });
+  assert.equal(error.code, "TOOL_DISABLED");
+  assert.match(error.message, /not on the allow list/);
+});
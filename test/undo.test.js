@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { readFile, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { test } from "node:test";
+import { callTool, startServer } from "./fixtures/server.js";
+
+const FEATURES = [
+  {
+    id: "F1",
+    name: "Old name",
+    description: "Old description",
+    parent: { product: { id: "P1" } },
+  },
+  { id: "F2", name: "Second", description: "Other" },
+];
+
+test("reverts an update by writing back the previous values", async (t) => {
+  const server = await startServer({ MOCK_API_DATA: { "/features": FEATURES } });
+  t.after(() => server.close());
+
+  await callTool(server.client, "pb_feature_update", { id: "F1", name: "New name" });
+  const listed = await callTool(server.client, "pb_undo", { list: true });
+  assert.equal(listed.data.count, 1);
+  assert.equal(listed.data.items[0].entity_id, "F1");
+
+  const { data } = await callTool(server.client, "pb_undo");
+  assert.equal(data.count, 1);
+  assert.equal(data.undone[0].reverted_with, "PATCH");
+  assert.ok(data.undone[0].undone_at);
+
+  const patch = (await server.apiRequests()).at(-1);
+  assert.equal(patch.method, "PATCH");
+  assert.equal(patch.path, "/features/F1");
+  assert.equal(patch.body.data.name, "Old name");
+
+  assert.equal((await callTool(server.client, "pb_undo", { list: true })).data.count, 0);
+  const { error } = await callTool(server.client, "pb_undo");
+  assert.equal(error.status, 404);
+});
+
+test("recreates a deleted feature under its original parent", async (t) => {
+  const server = await startServer({ MOCK_API_DATA: { "/features": FEATURES } });
+  t.after(() => server.close());
+
+  await callTool(server.client, "pb_feature_delete", { id: "F1" });
+  const { data } = await callTool(server.client, "pb_undo");
+  assert.equal(data.undone[0].reverted_with, "POST");
+
+  const post = (await server.apiRequests()).at(-1);
+  assert.equal(post.method, "POST");
+  assert.equal(post.path, "/features");
+  assert.equal(post.body.data.name, "Old name");
+  assert.deepEqual(post.body.data.parent, { product: { id: "P1" } });
+});
+
+test("concurrent undo calls revert different entries", async (t) => {
+  const server = await startServer({ MOCK_API_DATA: { "/features": FEATURES } });
+  t.after(() => server.close());
+
+  await callTool(server.client, "pb_feature_update", { id: "F1", name: "A" });
+  await callTool(server.client, "pb_feature_update", { id: "F2", name: "B" });
+
+  const results = await Promise.all([
+    callTool(server.client, "pb_undo"),
+    callTool(server.client, "pb_undo"),
+  ]);
+  const undone = results.map(({ data }) => data.undone[0].entity_id).sort();
+  assert.deepEqual(undone, ["F1", "F2"]);
+
+  const patches = (await server.apiRequests()).filter(({ method }) => method === "PATCH");
+  assert.equal(patches.length, 4);
+});
+
+test("a dry run sends nothing and leaves the journal file untouched", async (t) => {
+  const server = await startServer({ MOCK_API_DATA: { "/features": FEATURES } });
+  t.after(() => server.close());
+
+  await callTool(server.client, "pb_feature_update", { id: "F1", name: "New name" });
+  const journalPath = join(server.dataDir, "undo-journal.json");
+  const before = { content: await readFile(journalPath, "utf8"), ...(await stat(journalPath)) };
+  const requestCount = (await server.apiRequests()).length;
+
+  const { data } = await callTool(server.client, "pb_undo", { dry_run: true });
+  assert.equal(data.dry_run, true);
+  assert.equal(data.requests[0].method, "PATCH");
+  assert.equal(data.requests[0].body.data.name, "Old name");
+
+  assert.equal(await readFile(journalPath, "utf8"), before.content);
+  assert.equal((await stat(journalPath)).mtimeMs, before.mtimeMs);
+  assert.equal((await server.apiRequests()).length, requestCount);
+  assert.equal((await callTool(server.client, "pb_undo", { list: true })).data.count, 1);
+});
+
+test("pb_undo is annotated as destructive", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const { tools } = await server.client.listTools();
+  const undo = tools.find((tool) => tool.name === "pb_undo");
+  assert.equal(undo.annotations.destructiveHint, true);
+});